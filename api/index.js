@@ -1,30 +1,26 @@
 const { addonBuilder } = require('stremio-addon-sdk');
-const RealDebridClient = require('../lib/realdebrid');
+const { PROVIDERS, DEFAULT_PROVIDER, getDebridConfig, createDebridClient } = require('../lib/debridProviders');
 const TorrentSearcher = require('../lib/torrentSearcher');
 const JackettSearcher = require('../lib/jackettSearcher');
+const TorznabSearcher = require('../lib/torznabSearcher');
+const TorrentUtils = require('../lib/utils');
+const FileSelector = require('../lib/fileSelector');
+const ReleaseParser = require('../lib/releaseParser');
+const TorrentRanker = require('../lib/torrentRanker');
+const TorrentFilter = require('../lib/torrentFilter');
+const TRACKERS = require('../lib/trackers');
+const MetadataService = require('../lib/metadata');
+const TitleMatcher = require('../lib/titleMatcher');
+const { renderConfigurePage } = require('../lib/configurePage');
+const { encodeConfig, decodeConfig, redactConfig, redactPath, getConfigKey, mergeSecrets } = require('../lib/configToken');
+const { CACHE_TTL, getCacheStore, rememberStale, hashKey } = require('../lib/cache');
 
-// Простой in-memory кэш (для serverless используем более простой подход)
-const cache = new Map();
-const CACHE_TTL = 3600000; // 1 час в миллисекундах
+const MAX_TORRENTS = 50; // Торрентов на проверку в кэше debrid-сервиса
+const MAX_CONFIG_SIZE = 64 * 1024; // Тело запроса /encrypt, байт
 
-function getCache(key) {
-    const item = cache.get(key);
-    if (!item) return null;
-    
-    if (Date.now() - item.timestamp > CACHE_TTL) {
-        cache.delete(key);
-        return null;
-    }
-    
-    return item.data;
-}
-
-function setCache(key, data) {
-    cache.set(key, {
-        data,
-        timestamp: Date.now()
-    });
-}
+// Видео-заглушка на время загрузки торрента: Stremio воспроизводит только видео, JSON-ответ для него - ошибка.
+// Заглушку размещает владелец аддона; без нее /resolve отвечает 202 с Retry-After
+const DOWNLOADING_VIDEO_URL = process.env.DOWNLOADING_VIDEO_URL || null;
 
 // Манифест аддона
 const manifest = {
@@ -45,10 +41,129 @@ const manifest = {
     
     config: [
         {
-            key: 'rdApiKey',
+            key: 'debridProvider',
+            type: 'select',
+            title: 'Debrid-сервис',
+            options: Object.keys(PROVIDERS),
+            default: DEFAULT_PROVIDER
+        },
+        {
+            key: 'debridApiKey',
             type: 'text',
-            title: 'Real-Debrid API ключ',
+            title: 'API ключ debrid-сервиса',
             required: true
+        },
+        {
+            key: 'showUncached',
+            type: 'checkbox',
+            title: 'Показывать незакэшированные торренты (загрузка в debrid-сервис)'
+        },
+        {
+            key: 'trackers',
+            type: 'text',
+            title: `Трекеры через запятую (по умолчанию: ${Object.keys(TRACKERS).filter(id => TRACKERS[id].enabled).join(',')})`
+        },
+        {
+            key: 'resolutions',
+            type: 'text',
+            title: 'Предпочитаемые разрешения по порядку (например: 4K,1080p,720p)'
+        },
+        {
+            key: 'requiredResolutions',
+            type: 'text',
+            title: 'Только эти разрешения (опционально, например: 1080p,720p)'
+        },
+        {
+            key: 'studios',
+            type: 'text',
+            title: 'Предпочитаемые студии перевода по порядку (например: LostFilm,HDRezka)'
+        },
+        {
+            key: 'codecs',
+            type: 'text',
+            title: 'Предпочитаемые кодеки по порядку (например: HEVC,H.264)'
+        },
+        {
+            key: 'minSize',
+            type: 'number',
+            title: 'Минимальный размер раздачи, ГБ (опционально)'
+        },
+        {
+            key: 'maxSize',
+            type: 'number',
+            title: 'Максимальный размер раздачи, ГБ (опционально)'
+        },
+        {
+            key: 'sizeLimits',
+            type: 'text',
+            title: 'Размер по разрешениям, ГБ (например: 4K:10-80,1080p:2-20,720p:-5)'
+        },
+        {
+            key: 'minSeeders',
+            type: 'number',
+            title: 'Минимум сидов (опционально)'
+        },
+        {
+            key: 'exclude',
+            type: 'text',
+            title: 'Исключить (по умолчанию: CAM,TS,sample)'
+        },
+        {
+            key: 'blacklist',
+            type: 'text',
+            title: 'Исключать раздачи со словами (через запятую)'
+        },
+        {
+            key: 'whitelist',
+            type: 'text',
+            title: 'Только раздачи со словами (через запятую, опционально)'
+        },
+        {
+            key: 'language',
+            type: 'select',
+            title: 'Язык: ru - русская озвучка, original - оригинал с субтитрами',
+            options: ['ru', 'original'],
+            default: 'ru'
+        },
+        {
+            key: 'maxResults',
+            type: 'number',
+            title: 'Максимум потоков в списке (опционально)'
+        },
+        {
+            key: 'debug',
+            type: 'checkbox',
+            title: 'Режим отладки: показывать расчет рейтинга'
+        },
+        {
+            key: 'tmdbApiKey',
+            type: 'text',
+            title: 'TMDB API ключ - русские названия (опционально)'
+        },
+        {
+            key: 'omdbApiKey',
+            type: 'text',
+            title: 'OMDb API ключ (опционально)'
+        },
+        {
+            key: 'rutrackerLogin',
+            type: 'text',
+            title: 'RuTracker логин (опционально)'
+        },
+        {
+            key: 'rutrackerPassword',
+            type: 'password',
+            title: 'RuTracker пароль (опционально)'
+        },
+        {
+            key: 'kinozalLogin',
+            type: 'text',
+            title: 'Kinozal логин (опционально)'
+        },
+        {
+            key: 'kinozalPassword',
+            type: 'password',
+            title: 'Kinozal пароль (опционально)'
         }
     ],
     
@@ -58,124 +173,234 @@ const manifest = {
 const builder = new addonBuilder(manifest);
 
 // Обработчик потоков
-builder.defineStreamHandler(async ({ type, id, config }) => {
+builder.defineStreamHandler(async ({ type, id, extra, config }) => {
     try {
         console.log(`Запрос потока: ${type} - ${id}`);
         
-        if (!config || !config.rdApiKey) {
+        const debridConfig = getDebridConfig(config);
+        if (!debridConfig) {
             return {
                 streams: [{
-                    name: '⚠️ Требуется API ключ Real-Debrid',
+                    name: '⚠️ Требуется API ключ debrid-сервиса',
                     description: 'Настройте аддон и добавьте API ключ',
                     notFound: true
                 }]
             };
         }
         
-        const imdbId = id.split(':')[0];
-        let season = null;
-        let episode = null;
+        const { metaId, season, episode } = parseStreamId(type, id);
         
-        if (type === 'series' && id.includes(':')) {
-            const parts = id.split(':');
-            season = parseInt(parts[1]);
-            episode = parseInt(parts[2]);
-        }
+        const showUncached = isEnabled(config.showUncached);
+        const debug = isEnabled(config.debug);
         
-        // Проверка кэша
-        const cacheKey = `streams:${id}:${config.rdApiKey.substring(0, 8)}`;
-        const cached = getCache(cacheKey);
-        if (cached) {
-            console.log('Возврат из кэша');
-            return { streams: cached };
-        }
-        
-        const rdClient = new RealDebridClient(config.rdApiKey);
-        
-        // Инициализация поисковика
-        const jackettSearcher = new JackettSearcher(
-            process.env.JACKETT_URL,
-            process.env.JACKETT_API_KEY
-        );
-        
-        const directSearcher = new TorrentSearcher();
+        const ranker = new TorrentRanker({
+            resolutions: parseList(config.resolutions),
+            studios: parseList(config.studios),
+            codecs: parseList(config.codecs),
+            language: config.language
+        });
         
-        // Получение метаданных
-        const metadata = await getMetadata(imdbId, type, season, episode);
+        const filter = new TorrentFilter({
+            // Пустая строка из страницы настройки отключает исключения, отсутствие ключа - значения по умолчанию
+            exclude: config.exclude === undefined ? undefined : parseList(config.exclude),
+            requiredResolutions: parseList(config.requiredResolutions),
+            minSize: parseFloat(config.minSize),
+            maxSize: parseFloat(config.maxSize),
+            sizeLimits: TorrentFilter.parseSizeLimits(config.sizeLimits),
+            minSeeders: parseInt(config.minSeeders),
+            blacklist: parseList(config.blacklist),
+            whitelist: parseList(config.whitelist)
+        });
         
-        // Поиск торрентов
-        let torrents = [];
+        // Ключ кэша - все настройки выдачи (трекеры, фильтры, лимит, наличие учетных данных).
+        // Поиск и доступность кэшируются отдельно и общие для всех
+        const cacheKey = `streams:${id}:${getConfigKey(config)}`;
         
-        if (jackettSearcher.enabled) {
-            console.log('Поиск через Jackett...');
-            torrents = await jackettSearcher.search({
-                type,
-                imdbId,
-                title: metadata.title,
-                year: metadata.year,
-                season,
-                episode
+        // Поиск, проверка доступности и сборка списка потоков
+        const findStreams = async () => {
+            const debridClient = createDebridClient(config);
+            
+            // Инициализация поисковика
+            const jackettSearcher = new JackettSearcher(
+                process.env.JACKETT_URL,
+                process.env.JACKETT_API_KEY
+            );
+            
+            const torznabSearcher = new TorznabSearcher(process.env.TORZNAB_ENDPOINTS);
+            
+            const directSearcher = new TorrentSearcher({
+                trackers: parseList(config.trackers),
+                rutracker: {
+                    login: config.rutrackerLogin,
+                    password: config.rutrackerPassword,
+                    cookie: config.rutrackerCookie
+                },
+                kinozal: {
+                    login: config.kinozalLogin,
+                    password: config.kinozalPassword,
+                    cookie: config.kinozalCookie
+                }
             });
-        }
-        
-        if (torrents.length === 0) {
-            console.log('Поиск через прямой парсинг...');
-            torrents = await directSearcher.search({
+            
+            // Получение метаданных
+            const metadataService = new MetadataService({
+                tmdbApiKey: config.tmdbApiKey,
+                omdbApiKey: config.omdbApiKey
+            });
+            const metadata = await metadataService.get(metaId, type, season, episode);
+            
+            // Без названия поиск по трекерам бессмысленен, null не кэшируется
+            if (!metadata) {
+                return null;
+            }
+            
+            // Поиск торрентов
+            const searchParams = {
                 type,
-                imdbId,
+                imdbId: metadata.imdbId,
+                anime: metadata.anime,
                 title: metadata.title,
+                originalTitle: metadata.originalTitle,
+                russianTitle: metadata.russianTitle,
+                alternativeTitles: metadata.alternativeTitles,
                 year: metadata.year,
                 season,
-                episode
-            });
-        }
-        
-        console.log(`Найдено торрентов: ${torrents.length}`);
-        
-        const streams = [];
-        
-        for (const torrent of torrents.slice(0, 15)) {
-            try {
-                const rdInfo = await rdClient.checkAvailability(torrent.infoHash);
+                episode,
+                absoluteEpisode: metadata.absoluteEpisode
+            };
+            
+            // Индексаторы и прямой парсинг параллельно, одна раздача из нескольких источников объединяется
+            const [jackettResults, torznabResults, directResults] = await Promise.all([
+                jackettSearcher.search(searchParams),
+                torznabSearcher.search(searchParams),
+                directSearcher.search(searchParams)
+            ]);
+            
+            console.log(`Найдено: Jackett ${jackettResults.length}, Torznab ${torznabResults.length}, трекеры ${directResults.length}`);
+            
+            // Фильтры до проверки кэша debrid-сервиса - не тратим запросы на неподходящие раздачи.
+            // Раздачи другого фильма, года или сезона - случайные совпадения по слову
+            const matcher = new TitleMatcher(searchParams);
+            const torrents = ranker.rank(filter.apply(matcher.filter(
+                TorrentUtils.removeDuplicates([...jackettResults, ...torznabResults, ...directResults])
+            )));
+            
+            console.log(`Найдено торрентов: ${torrents.length}`);
+            
+            const candidates = torrents.slice(0, MAX_TORRENTS);
+            const availabilityMap = await debridClient.checkAvailabilityBatch(
+                candidates.map(torrent => torrent.infoHash)
+            );
+            
+            const streams = [];
+            const uncachedStreams = [];
+            
+            for (const torrent of candidates) {
+                try {
+                    const availability = availabilityMap[torrent.infoHash.toUpperCase()];
                 
-                if (rdInfo && rdInfo.available) {
-                    let fileIndex = null;
+                    // Раздача одной серии - та самая серия, это уже проверено по названию
+                    const singleEpisode = type === 'series' && ReleaseParser.parse(torrent.title).episodes.length === 1;
+                
+                    if (availability && availability.available) {
+                        // ID файла в debrid-сервисе - для /resolve, позиция в торренте - fileIdx для Stremio
+                        const files = FileSelector.normalize(availability.files, torrent.files);
+                        let file = FileSelector.select(files, {
+                            type,
+                            season,
+                            episode,
+                            absoluteEpisode: metadata.absoluteEpisode
+                        });
                     
-                    if (type === 'series' && rdInfo.files) {
-                        fileIndex = findVideoFile(rdInfo.files, season, episode);
-                    }
+                        // Сервис показал не все файлы (Premiumize - только самый большой):
+                        // серия выбирается из готового торрента при получении ссылки
+                        const episodeOnResolve = !file && type === 'series' && availability.partial;
                     
-                    streams.push({
-                        name: `RD 🇷🇺 ${torrent.source}`,
-                        title: torrent.title,
-                        infoHash: torrent.infoHash,
-                        fileIdx: fileIndex,
-                        behaviorHints: {
-                            bingeGroup: `realdebrid-${torrent.infoHash}`,
-                            notWebReady: true
-                        },
-                        sources: torrent.seeders ? [`👥 ${torrent.seeders}`] : [],
-                        description: [
-                            torrent.size ? `📦 ${torrent.size}` : null,
-                            torrent.quality ? `🎬 ${torrent.quality}` : null,
-                            torrent.seeders ? `👥 Сиды: ${torrent.seeders}` : null
-                        ].filter(Boolean).join(' | ')
-                    });
+                        if (!file && type === 'series' && !episodeOnResolve) {
+                            // Сезон без файла запрошенной серии включил бы другую серию
+                            if (!singleEpisode) {
+                                console.log(`Нет файла серии ${id}: ${torrent.title}`);
+                                continue;
+                            }
+                        
+                            // Отдельная серия с нестандартным именем файла
+                            file = FileSelector.findLargestVideo(files);
+                        }
+                    
+                        const stream = {
+                            name: `${debridClient.shortName} 🇷🇺 ${torrent.source}`,
+                            title: torrent.title,
+                            url: `/resolve/${torrent.infoHash}/${file ? file.id : 0}` +
+                                (episodeOnResolve ? formatEpisodeQuery(season, episode, metadata.absoluteEpisode) : ''),
+                            behaviorHints: {
+                                bingeGroup: `${debridClient.provider}-${torrent.infoHash}`,
+                                notWebReady: true
+                            },
+                            description: describeTorrent(torrent, debug).join(' | ')
+                        };
+                    
+                        if (file && file.index !== null) {
+                            stream.fileIdx = file.index;
+                        }
+                    
+                        streams.push(stream);
+                    } else if (showUncached && (type !== 'series' || singleEpisode)) {
+                        // Файлы незакэшированного сезона неизвестны до загрузки - предлагаем только отдельные серии
+                        uncachedStreams.push({
+                            name: `⬇️ ${debridClient.shortName} download ${torrent.source}`,
+                            title: torrent.title,
+                            url: `/resolve/${torrent.infoHash}/0`,
+                            behaviorHints: {
+                                bingeGroup: `${debridClient.provider}-${torrent.infoHash}`,
+                                notWebReady: true
+                            },
+                            description: [
+                                `⬇️ Нет в кэше - будет загружен в ${debridClient.name}`,
+                                ...describeTorrent(torrent, debug)
+                            ].join(' | ')
+                        });
+                    }
+                } catch (err) {
+                    console.error('Ошибка обработки торрента:', err.message);
                 }
-            } catch (err) {
-                console.error('Ошибка обработки торрента:', err.message);
             }
-        }
+            
+            // Незакэшированные торренты идут после готовых к просмотру
+            streams.push(...uncachedStreams);
+            
+            const maxResults = parseInt(config.maxResults);
+            if (maxResults > 0) {
+                streams.splice(maxResults);
+            }
+            
+            console.log(`Найдено потоков: ${streams.length}`);
+            return streams;
+        };
+        
+        // Одновременные запросы одного списка ждут один поиск; устаревший список отдается сразу,
+        // а обновляется в фоне, пока экземпляр функции не заморожен (см. rememberStale).
+        // Пустой ответ кэшируется ненадолго - иначе каждый запрос заново опрашивает трекеры
+        const streams = await rememberStale(cacheKey, CACHE_TTL.streams, findStreams);
         
-        if (streams.length > 0) {
-            setCache(cacheKey, streams);
+        if (!streams) {
+            return {
+                streams: [{
+                    name: '⚠️ Название не найдено',
+                    description: `Не удалось получить название для ${metaId}. Попробуйте позже или добавьте TMDB API ключ в настройках`,
+                    notFound: true
+                }]
+            };
         }
         
         console.log(`Возвращено потоков: ${streams.length}`);
-        return { streams };
+        
+        // В кэше ссылки без конфигурации пользователя: после перенастройки токен в URL другой
+        return {
+            streams: streams.map(stream => stream.url ? { ...stream, url: `${extra.addonUrl}${stream.url}` } : stream)
+        };
         
     } catch (error) {
-        console.error('Ошибка в обработчике потоков:', error);
+        console.error('Ошибка в обработчике потоков:', error.stack || error.message);
         return {
             streams: [{
                 name: '❌ Ошибка',
@@ -186,59 +411,80 @@ builder.defineStreamHandler(async ({ type, id, config }) => {
     }
 });
 
-async function getMetadata(imdbId, type, season, episode) {
-    const axios = require('axios');
-    
-    try {
-        const response = await axios.get(`http://www.omdbapi.com/`, {
-            params: {
-                i: imdbId,
-                apikey: 'trilogy',
-                type: type === 'series' ? 'series' : 'movie'
-            },
-            timeout: 5000
-        });
-        
-        if (response.data && response.data.Response === 'True') {
-            return {
-                title: response.data.Title,
-                year: response.data.Year
-            };
-        }
-    } catch (err) {
-        console.error('Ошибка получения метаданных:', err.message);
-    }
+/**
+ * Строки описания потока: размер, качество, перевод, сиды и источники,
+ * в режиме отладки - расчет рейтинга
+ */
+function describeTorrent(torrent, debug = false) {
+    const translation = ReleaseParser.getTranslation(torrent.title);
     
-    return { title: '', year: '' };
+    return [
+        torrent.size ? `📦 ${torrent.size}` : null,
+        torrent.quality ? `🎬 ${torrent.quality}` : null,
+        translation ? `🗣 ${translation}` : null,
+        torrent.seeders ? `👥 Сиды: ${torrent.seeders}` : null,
+        torrent.sources && torrent.sources.length > 1 ? `🔎 ${torrent.sources.join(', ')}` : null,
+        debug && torrent.ranking ? `🧮 ${TorrentRanker.explain(torrent.ranking)}` : null
+    ].filter(Boolean);
 }
 
-function findVideoFile(files, season, episode) {
-    const videoExts = ['.mkv', '.mp4', '.avi'];
+/**
+ * Разбор ID потока Stremio: tt0903747, tt0903747:2:9, kitsu:1376 или kitsu:1376:5.
+ * У Kitsu после ID идет сразу номер серии - сезонов нет, каждый сезон отдельной карточкой
+ * @returns {Object} { metaId, season, episode }
+ */
+function parseStreamId(type, id) {
+    const parts = id.split(':');
+    const anime = parts[0] === 'kitsu';
+    const metaId = anime ? parts.slice(0, 2).join(':') : parts[0];
+    const numbers = parts.slice(anime ? 2 : 1).map(part => parseInt(part));
     
-    for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        const name = file.path.toLowerCase();
-        
-        if (!videoExts.some(ext => name.endsWith(ext))) continue;
-        
-        const patterns = [
-            new RegExp(`s0?${season}e0?${episode}`, 'i'),
-            new RegExp(`${season}x0?${episode}`, 'i'),
-            new RegExp(`[^\\d]${season}${episode.toString().padStart(2, '0')}[^\\d]`)
-        ];
-        
-        if (patterns.some(pattern => pattern.test(name))) {
-            return i + 1;
-        }
+    if (type !== 'series' || numbers.length === 0) {
+        return { metaId, season: null, episode: null };
     }
     
-    for (let i = 0; i < files.length; i++) {
-        if (videoExts.some(ext => files[i].path.toLowerCase().endsWith(ext))) {
-            return i + 1;
-        }
-    }
+    return anime
+        ? { metaId, season: null, episode: numbers[0] || null }
+        : { metaId, season: numbers[0] || null, episode: numbers[1] || null };
+}
+
+/**
+ * Серия в ссылке /resolve для сервисов, которые при проверке кэша показывают не все файлы
+ * @returns {string} Строка запроса "?s=2&e=5&a=30"
+ */
+function formatEpisodeQuery(season, episode, absoluteEpisode) {
+    const params = new URLSearchParams({ e: episode });
+    if (season) params.set('s', season);
+    if (absoluteEpisode) params.set('a', absoluteEpisode);
+    return `?${params}`;
+}
+
+/**
+ * Разбор серии из ссылки /resolve
+ * @param {string} path - Путь запроса
+ * @returns {Object|null} { season, episode, absoluteEpisode } или null, если серия не указана
+ */
+function parseEpisodeQuery(path) {
+    const query = new URLSearchParams(path.split('?')[1] || '');
+    const episode = parseInt(query.get('e')) || null;
+    if (!episode) return null;
     
-    return null;
+    return {
+        season: parseInt(query.get('s')) || null,
+        episode,
+        absoluteEpisode: parseInt(query.get('a')) || null
+    };
+}
+
+function isEnabled(value) {
+    // Stremio передает отмеченный checkbox как 'checked', base64 конфиг - как boolean или строку
+    return value === true || value === 'true' || value === 'checked' || value === 'on';
+}
+
+function parseList(value) {
+    // Списки в конфигурации - массив или строка через запятую
+    if (Array.isArray(value)) return value;
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
 }
 
 // Экспорт для Vercel
@@ -256,41 +502,65 @@ module.exports = async (req, res) => {
     }
     
     const path = req.url || '/';
-    console.log('Request path:', path);
     
     try {
         // Извлечение конфигурации из URL
         // Поддерживаем форматы:
-        // /YOUR_API_KEY/manifest.json
-        // /YOUR_API_KEY/stream/movie/tt123.json
+        // /v1.Zm9vYmFy.../manifest.json (зашифрованный токен, если задан CONFIG_SECRET)
         // /eyJyZEFwaUtleSI6Li4ufQ==/manifest.json (base64 config)
+        // /YOUR_API_KEY/manifest.json (старые установки)
         let userConfig = {};
-        const urlParts = path.split('/').filter(p => p);
+        let configSegment = null;
+        const urlParts = path.split('?')[0].split('/').filter(p => p);
         
         // Проверяем первую часть URL - это может быть конфигурация
-        if (urlParts.length > 0 && urlParts[0] !== 'manifest.json' && !urlParts[0].startsWith('stream')) {
-            const possibleConfig = urlParts[0];
-            
-            // Попытка декодировать как base64 конфиг
-            try {
-                const decoded = Buffer.from(possibleConfig, 'base64').toString();
-                userConfig = JSON.parse(decoded);
-                console.log('Decoded base64 config');
-            } catch (e) {
-                // Не base64 - это прямой API ключ
-                if (possibleConfig.length > 20) { // API ключи обычно длинные
-                    userConfig = { rdApiKey: possibleConfig };
-                    console.log('Direct API key detected');
-                }
+        if (urlParts.length > 1 && !['manifest.json', 'configure', 'encrypt', 'stream', 'resolve'].includes(urlParts[0])) {
+            const decoded = decodeConfig(urlParts[0]);
+            if (decoded) {
+                userConfig = decoded;
+                configSegment = urlParts[0];
             }
         }
         
+        // Конфигурация в пути - секрет, в логи не попадает
+        console.log('Request path:', redactPath(path, configSegment));
+        
+        // Шифрование конфигурации для страницы настройки: /encrypt или /CONFIG/encrypt.
+        // Страница не знает сохраненных секретов - пустые поля заполняются из текущей конфигурации
+        if (urlParts[urlParts.length - 1] === 'encrypt' && req.method === 'POST') {
+            const config = await readJsonBody(req, MAX_CONFIG_SIZE);
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                res.status(400).json({ error: 'Invalid config' });
+                return;
+            }
+            
+            res.status(200).json(encodeConfig(mergeSecrets(config, userConfig)));
+            return;
+        }
+        
+        // Страница настройки: /configure или /CONFIG/configure (Stremio открывает ее из списка аддонов)
+        if (urlParts[urlParts.length - 1] === 'configure') {
+            res.setHeader('Content-Type', 'text/html');
+            res.status(200).send(renderConfigurePage({
+                host: req.headers.host,
+                config: userConfig,
+                segment: configSegment,
+                providers: PROVIDERS,
+                trackers: Object.entries(TRACKERS).map(([id, item]) => ({
+                    id,
+                    name: new item.Tracker().name,
+                    enabled: item.enabled
+                }))
+            }));
+            return;
+        }
+        
         // Обработка manifest
         if (path.includes('manifest.json')) {
             res.setHeader('Content-Type', 'application/json');
             
             // Если есть конфигурация в URL, используем её для создания configured manifest
-            if (userConfig.rdApiKey) {
+            if (getDebridConfig(userConfig)) {
                 const configuredManifest = {
                     ...addonInterface.manifest,
                     behaviorHints: {
@@ -324,19 +594,79 @@ module.exports = async (req, res) => {
             const id = streamMatch[2];
             
             console.log(`Stream request: ${type} - ${id}`);
-            console.log('Config:', userConfig);
+            console.log('Config:', redactConfig(userConfig));
             
-            const result = await addonInterface.stream.handler({ 
-                type, 
-                id, 
-                config: userConfig 
-            });
+            // Базовый URL аддона с конфигурацией - для ссылок на /resolve
+            const protocol = req.headers['x-forwarded-proto'] || 'https';
+            const addonUrl = `${protocol}://${req.headers.host}/${configSegment}`;
+            
+            const result = await addonInterface.get('stream', type, id, { addonUrl }, userConfig);
             
             res.setHeader('Content-Type', 'application/json');
             res.status(200).json(result);
             return;
         }
         
+        // Получение прямой ссылки debrid-сервиса
+        if (path.includes('/resolve/')) {
+            // Паттерн: /YOUR_API_KEY/resolve/INFO_HASH/FILE_ID.
+            // FILE_ID - ID файла (1-based), 0 - самое большое видео в торренте или серия из ?s=&e=&a=
+            const resolveMatch = path.match(/\/resolve\/([a-fA-F0-9]{40})\/(\d+)/);
+            
+            if (!resolveMatch) {
+                res.status(400).json({ error: 'Invalid resolve URL' });
+                return;
+            }
+            
+            const debridConfig = getDebridConfig(userConfig);
+            if (!debridConfig) {
+                res.status(401).json({ error: 'Debrid API key required' });
+                return;
+            }
+            
+            const infoHash = resolveMatch[1].toUpperCase();
+            const fileId = parseInt(resolveMatch[2]) || null;
+            const episode = parseEpisodeQuery(path);
+            
+            console.log(`Resolve request: ${infoHash} - ${fileId || 'auto'}${episode ? ` S${episode.season}E${episode.episode}` : ''}`);
+            
+            const cache = getCacheStore();
+            const episodeKey = episode ? `${episode.season}:${episode.episode}:${episode.absoluteEpisode}` : '';
+            const cacheKey = `resolve:${debridConfig.provider}:${infoHash}:${fileId}:${episodeKey}:${hashKey(debridConfig.apiKey)}`;
+            let streamUrl = await cache.get(cacheKey);
+            
+            if (!streamUrl) {
+                const debridClient = createDebridClient(userConfig);
+                const download = await debridClient.getStreamLink(infoHash, fileId, episode);
+                
+                if (download.failed) {
+                    res.status(404).json({ error: `${debridClient.name} download failed: ${download.status}` });
+                    return;
+                }
+                
+                if (!download.url) {
+                    // Торрент загружается - отдаем заглушку, пока debrid-сервис не закончит загрузку
+                    console.log(`Torrent downloading: ${download.status} ${download.progress}%`);
+                    
+                    if (DOWNLOADING_VIDEO_URL) {
+                        res.setHeader('Location', DOWNLOADING_VIDEO_URL);
+                        res.status(302).end();
+                    } else {
+                        res.setHeader('Retry-After', '30');
+                        res.status(202).json({ status: download.status, progress: download.progress });
+                    }
+                    return;
+                }
+                
+                streamUrl = download.url;
+                await cache.set(cacheKey, streamUrl, CACHE_TTL.resolve);
+            }
+            
+            res.setHeader('Location', streamUrl);
+            res.status(302).end();
+            return;
+        }
+        
         // Главная страница
         res.setHeader('Content-Type', 'text/html');
         res.status(200).send(`
@@ -459,24 +789,33 @@ module.exports = async (req, res) => {
                 <div class="card">
                     <h2>✨ Возможности</h2>
                     <ul>
-                        <li>🇷🇺 Поиск по русским торрент-трекерам (Rutor, RuTracker, Kinozal)</li>
-                        <li>⚡ Быстрый стриминг через Real-Debrid</li>
-                        <li>📺 Поддержка фильмов и сериалов</li>
+                        <li>🇷🇺 Поиск по русским торрент-трекерам (Rutor, RuTracker, Kinozal, NNM-Club, Torrent.by, Anilibria)</li>
+                        <li>⚡ Быстрый стриминг через Real-Debrid, AllDebrid, Premiumize или TorBox</li>
+                        <li>⬇️ Загрузка незакэшированных торрентов в debrid-сервис (опционально)</li>
+                        <li>📺 Поддержка фильмов, сериалов и аниме (Kitsu ID, русские названия из Shikimori)</li>
+                        <li>🏆 Сортировка по предпочтениям: разрешение, студия перевода, кодек, размер</li>
                         <li>🔍 Опциональная интеграция с Jackett</li>
                         <li>💾 Кэширование для быстрого доступа</li>
                     </ul>
                 </div>
                 
                 <div class="warning">
-                    <strong>⚠️ Требуется Real-Debrid подписка</strong><br>
-                    Получите API ключ на <a href="https://real-debrid.com/apitoken" target="_blank" style="color: #7b5bf5;">real-debrid.com/apitoken</a>
+                    <strong>⚠️ Требуется подписка debrid-сервиса</strong><br>
+                    Получите API ключ: ${Object.values(PROVIDERS).map(p => `<a href="${p.apiKeyUrl}" target="_blank" style="color: #7b5bf5;">${p.name}</a>`).join(', ')}<br>
+                    Быстрая установка (Способ 2) работает только с Real-Debrid и без дополнительных настроек
                 </div>
                 
                 <div class="card">
                     <h2>📥 Установка в Stremio</h2>
                     
                     <div class="method">
-                        <div class="method-title">🚀 Способ 1: Быстрая установка (с API ключом в URL)</div>
+                        <div class="method-title">⚙️ Способ 1: Страница настройки (рекомендуется)</div>
+                        <p>Debrid-сервис, трекеры, фильтры качества, сортировка и другие параметры:</p>
+                        <a class="install-btn" href="/configure">Настроить и установить</a>
+                    </div>
+                    
+                    <div class="method">
+                        <div class="method-title">🚀 Способ 2: Быстрая установка (с API ключом в URL)</div>
                         <p>Вставьте ваш Real-Debrid API ключ:</p>
                         <input type="text" id="apiKeyInput" placeholder="Вставьте ваш Real-Debrid API ключ здесь">
                         <div id="generatedUrl" style="display:none; margin-top: 15px;">
@@ -488,7 +827,7 @@ module.exports = async (req, res) => {
                     </div>
                     
                     <div class="method">
-                        <div class="method-title">⚙️ Способ 2: Через настройки (если Способ 1 не работает)</div>
+                        <div class="method-title">🔧 Способ 3: Через настройки Stremio</div>
                         <ol>
                             <li>Скопируйте этот URL:
                                 <div class="url-box">https://${req.headers.host}/manifest.json</div>
@@ -498,7 +837,7 @@ module.exports = async (req, res) => {
                             <li>Вставьте скопированный URL</li>
                             <li>Нажмите "Install"</li>
                             <li>После установки откройте настройки аддона</li>
-                            <li>Введите ваш Real-Debrid API ключ в поле "Real-Debrid API ключ"</li>
+                            <li>Выберите debrid-сервис и введите API ключ в поле "API ключ debrid-сервиса"</li>
                         </ol>
                     </div>
                 </div>
@@ -509,7 +848,15 @@ module.exports = async (req, res) => {
                     <ul>
                         <li><code>JACKETT_URL</code> - URL вашего Jackett сервера</li>
                         <li><code>JACKETT_API_KEY</code> - API ключ Jackett</li>
+                        <li><code>TORZNAB_ENDPOINTS</code> - Torznab эндпоинты (Prowlarr, Jackett) в формате <code>url|apikey</code> через запятую</li>
+                        <li><code>TMDB_API_KEY</code>, <code>OMDB_API_KEY</code> - ключи метаданных для всех пользователей (опционально)</li>
+                        <li><code>CONFIG_SECRET</code> - секрет для шифрования настроек в URL аддона (рекомендуется: без него API ключ виден в URL)</li>
+                        <li><code>REDIS_URL</code> или <code>KV_URL</code> (Vercel KV) - общий кэш в Redis; без него кэш в памяти (<code>CACHE_MAX_ENTRIES</code>, <code>CACHE_MAX_MB</code>)</li>
+                        <li><code>DOWNLOADING_VIDEO_URL</code> - видео, которое показывается, пока debrid-сервис загружает торрент (рекомендуется: без него Stremio показывает ошибку воспроизведения, пока торрент не загрузится)</li>
                     </ul>
+                    <p>Поиск по RuTracker и Kinozal требует авторизации: укажите логин и пароль в настройках аддона
+                    или задайте <code>RUTRACKER_LOGIN</code> и <code>RUTRACKER_PASSWORD</code> (либо <code>RUTRACKER_COOKIE</code>),
+                    <code>KINOZAL_LOGIN</code> и <code>KINOZAL_PASSWORD</code> (либо <code>KINOZAL_COOKIE</code>) в переменных окружения.</p>
                     <p><strong>Текущий статус:</strong> ${process.env.JACKETT_URL ? '✅ Jackett настроен' : '❌ Jackett не настроен (работает с прямым парсингом)'}</p>
                 </div>
                 
@@ -577,7 +924,46 @@ module.exports = async (req, res) => {
         `);
         
     } catch (error) {
-        console.error('Error:', error);
+        // Только стек: ошибка axios целиком содержит заголовки запроса с API ключом
+        console.error('Error:', error.stack || error.message);
         res.status(500).json({ error: error.message });
     }
 };
+
+/**
+ * Чтение JSON тела запроса (Vercel разбирает его сам, локальный сервер - нет).
+ * Vercel оставляет строкой или Buffer тело, которое не смог разобрать
+ * @param {Object} req - Запрос
+ * @param {number} maxSize - Максимальный размер тела в байтах
+ * @returns {Promise<*>} Значение или null, если тело - не JSON или больше maxSize
+ */
+async function readJsonBody(req, maxSize) {
+    let body = req.body;
+    
+    if (body === undefined) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            // Дальше не читаем: большое тело не может быть конфигурацией
+            if (size > maxSize) return null;
+            chunks.push(Buffer.from(chunk));
+        }
+        body = Buffer.concat(chunks);
+    }
+    
+    if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+        // Уже разобрано Vercel - ограничиваем размер по JSON представлению
+        return JSON.stringify(body).length > maxSize ? null : body;
+    }
+    
+    if (Buffer.byteLength(body) > maxSize) {
+        return null;
+    }
+    
+    try {
+        return JSON.parse(body.toString());
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,200 @@
+const axios = require('axios');
+const DebridClient = require('./debridClient');
+const TorrentUtils = require('./utils');
+
+const AGENT = 'stremio-russian-addon';
+const READY_STATUS_CODE = 4; // 0-3 - загрузка, 4 - готово, 5 и выше - ошибки
+
+class AllDebridClient extends DebridClient {
+    /**
+     * @param {string} apiKey - API ключ AllDebrid
+     * @param {Object} options - baseURL для подмены API (например, локальный mock-сервер)
+     */
+    constructor(apiKey, options = {}) {
+        super(apiKey, {
+            provider: 'alldebrid',
+            name: 'AllDebrid',
+            shortName: 'AD',
+            batchSize: 50,
+            baseURL: options.baseURL || 'https://api.alldebrid.com/v4'
+        });
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            params: {
+                agent: AGENT
+            },
+            headers: {
+                'Authorization': `Bearer ${apiKey}`
+            }
+        });
+    }
+
+    /**
+     * Запрос к API AllDebrid с проверкой статуса ответа
+     * @param {string} url - Путь метода API
+     * @param {Object} params - Параметры запроса
+     * @returns {Promise<Object>} Поле data ответа
+     */
+    async request(url, params = {}) {
+        const response = await this.client.get(url, { params });
+
+        if (!response.data || response.data.status !== 'success') {
+            const message = response.data && response.data.error ? response.data.error.message : 'неизвестная ошибка';
+            throw new Error(`AllDebrid: ${message}`);
+        }
+
+        return response.data.data;
+    }
+
+    /**
+     * Проверка доступности нескольких торрентов в кэше AllDebrid одним запросом
+     * @param {Array<string>} infoHashes - Info hash торрентов
+     * @returns {Promise<Object>} Информация о доступности по info hash
+     */
+    async checkAvailabilityChunk(infoHashes) {
+        const data = await this.request('/magnet/instant', { magnets: infoHashes });
+        const availability = {};
+
+        (data.magnets || []).forEach(magnet => {
+            if (magnet.instant && magnet.hash) {
+                availability[magnet.hash.toUpperCase()] = {
+                    available: true,
+                    files: this.flattenFiles(magnet.files).map((file, i) => ({
+                        id: i + 1,
+                        path: file.path,
+                        size: file.size
+                    }))
+                };
+            }
+        });
+
+        return availability;
+    }
+
+    /**
+     * Добавление магнет-ссылки в AllDebrid
+     * @param {string} magnet - Магнет-ссылка
+     * @returns {Promise<Object>} Информация о добавленном магнете
+     */
+    async addMagnet(magnet) {
+        try {
+            const data = await this.request('/magnet/upload', { 'magnets[]': magnet });
+            return data.magnets[0];
+        } catch (error) {
+            console.error('Ошибка добавления магнета в AllDebrid:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Получение статуса магнета
+     * @param {string} magnetId - ID магнета
+     * @returns {Promise<Object>} Информация о магнете
+     */
+    async getMagnetStatus(magnetId) {
+        const data = await this.request('/magnet/status', { id: magnetId });
+        return data.magnets;
+    }
+
+    /**
+     * Получение списка магнетов аккаунта
+     * @returns {Promise<Array>} Список магнетов
+     */
+    async getActiveTorrents() {
+        try {
+            const data = await this.request('/magnet/status');
+            return data.magnets || [];
+        } catch (error) {
+            console.error('Ошибка получения списка магнетов AllDebrid:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Получение прямой ссылки для стриминга файла из торрента
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID файла из проверки кэша или null для самого большого видео
+     * @returns {Promise<Object>} Статус загрузки { status, progress, failed, url }
+     */
+    async getStreamLink(infoHash, fileId = null) {
+        const magnets = await this.getActiveTorrents();
+        const existing = magnets.find(magnet =>
+            magnet.hash && magnet.hash.toUpperCase() === infoHash.toUpperCase() &&
+            magnet.statusCode <= READY_STATUS_CODE
+        );
+
+        let magnetId = existing ? existing.id : null;
+        if (!magnetId) {
+            ({ id: magnetId } = await this.addMagnet(TorrentUtils.createMagnetLink(infoHash)));
+        }
+
+        const status = await this.poll(
+            () => this.getMagnetStatus(magnetId),
+            magnet => magnet.statusCode === 0
+        );
+
+        if (status.statusCode !== READY_STATUS_CODE) {
+            return {
+                status: status.status,
+                progress: status.size ? Math.round(status.downloaded / status.size * 100) : 0,
+                failed: status.statusCode > READY_STATUS_CODE,
+                url: null
+            };
+        }
+
+        // Ссылки AllDebrid идут по одной на файл
+        const links = status.links.map((link, i) => ({ id: i + 1, path: link.filename, size: link.size, link: link.link }));
+        const targetId = await this.resolveFileId(infoHash, fileId, links);
+        if (!targetId) {
+            console.error(`Видео файл не найден в торренте ${infoHash}`);
+            return { status: 'error', progress: 0, failed: true, url: null };
+        }
+
+        const url = await this.unrestrictLink(links[targetId - 1].link);
+        return { status: status.status, progress: 100, failed: false, url };
+    }
+
+    /**
+     * Разблокировка ссылки для стриминга
+     * @param {string} link - Ссылка на файл
+     * @returns {Promise<string>} Прямая ссылка для стриминга
+     */
+    async unrestrictLink(link) {
+        try {
+            const data = await this.request('/link/unlock', { link });
+            return data.link;
+        } catch (error) {
+            console.error('Ошибка разблокировки ссылки AllDebrid:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Получение информации об аккаунте
+     * @returns {Promise<Object>} Информация об аккаунте
+     */
+    async getUserInfo() {
+        try {
+            const data = await this.request('/user');
+            return data.user;
+        } catch (error) {
+            console.error('Ошибка получения информации об аккаунте AllDebrid:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Преобразование дерева файлов AllDebrid ({ n, s } или { n, e: [...] }) в плоский список
+     * @param {Array} entries - Элементы дерева
+     * @param {string} prefix - Путь родительской папки
+     * @returns {Array} Файлы [{ path, size }]
+     */
+    flattenFiles(entries = [], prefix = '') {
+        return entries.flatMap(entry => {
+            const path = `${prefix}/${entry.n}`;
+            return entry.e ? this.flattenFiles(entry.e, path) : [{ path, size: entry.s }];
+        });
+    }
+}
+
+module.exports = AllDebridClient;
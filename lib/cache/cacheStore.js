@@ -0,0 +1,53 @@
+/**
+ * Базовый класс хранилища кэша.
+ * Значения - JSON-сериализуемые данные, время жизни задается при записи в секундах.
+ * Ошибки хранилища не должны ломать запрос: при сбое get возвращает null, set ничего не делает
+ */
+class CacheStore {
+    /**
+     * @param {string} name - Название хранилища для логов
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Значение по ключу
+     * @param {string} key - Ключ
+     * @returns {Promise<*|null>} Значение или null, если его нет или срок истек
+     */
+    async get(key) {
+        throw new Error(`${this.name}: get не реализован`);
+    }
+
+    /**
+     * Несколько значений за раз
+     * @param {Array<string>} keys - Ключи
+     * @returns {Promise<Array>} Значения в порядке ключей, null для отсутствующих
+     */
+    async getMany(keys) {
+        return Promise.all(keys.map(key => this.get(key)));
+    }
+
+    /**
+     * Запись значения
+     * @param {string} key - Ключ
+     * @param {*} value - JSON-сериализуемое значение
+     * @param {number} ttl - Время жизни в секундах
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttl) {
+        throw new Error(`${this.name}: set не реализован`);
+    }
+
+    /**
+     * Удаление значения
+     * @param {string} key - Ключ
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error(`${this.name}: delete не реализован`);
+    }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,157 @@
+/**
+ * Кэш аддона. С REDIS_URL или KV_URL (Vercel KV) - общий Redis, иначе LRU в памяти процесса.
+ * Хранилище создается один раз на экземпляр функции
+ */
+
+const crypto = require('crypto');
+const MemoryCache = require('./memoryCache');
+const RedisCache = require('./redisCache');
+
+// Время жизни в секундах по видам данных
+const CACHE_TTL = {
+    streams: 3600,          // Готовый список потоков пользователя
+    search: 3600,           // Результаты поиска по трекерам и индексаторам
+    availability: 1800,     // Наличие торрентов в кэше debrid-сервиса - меняется чаще всего
+    metadata: 24 * 3600,    // Названия не меняются
+    resolve: 3600,          // Прямые ссылки debrid-сервисов живут несколько часов
+    empty: 300              // Пустой результат - ненадолго: раздача может появиться скоро
+};
+
+// Сколько устаревшее значение еще можно отдать, пока обновление не завершилось
+const STALE_TTL = 6 * 3600;
+
+let store = null;
+
+// Загрузки, выполняющиеся в этом экземпляре функции: одновременные запросы ждут одну загрузку
+const inflight = new Map();
+
+/**
+ * Хранилище кэша
+ * @returns {CacheStore} Redis или память
+ */
+function getCacheStore() {
+    if (store) return store;
+
+    const redisUrl = process.env.REDIS_URL || process.env.KV_URL;
+    if (redisUrl) {
+        store = new RedisCache(redisUrl);
+        console.log('✓ Кэш: Redis');
+    } else {
+        store = new MemoryCache({
+            maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || undefined,
+            maxBytes: (parseInt(process.env.CACHE_MAX_MB) || 50) * 1024 * 1024
+        });
+    }
+
+    return store;
+}
+
+/**
+ * Значение из кэша, а при промахе - результат загрузки, сохраненный в кэш.
+ * Одновременные промахи по одному ключу ждут одну загрузку.
+ * Пустой результат хранится CACHE_TTL.empty, null не кэшируется
+ * @param {string} key - Ключ
+ * @param {number} ttl - Время жизни непустого результата в секундах
+ * @param {Function} load - Загрузка значения: async () => значение
+ * @returns {Promise<*>} Значение
+ */
+async function remember(key, ttl, load) {
+    const cache = getCacheStore();
+    const cached = await cache.get(key);
+    if (cached !== null) return cached;
+
+    return coalesce(key, async () => {
+        const value = await load();
+        if (value === null || value === undefined) return value;
+
+        await cache.set(key, value, getTtl(value, ttl));
+        return value;
+    });
+}
+
+/**
+ * Как remember, но с устаревшими данными: после ttl значение еще STALE_TTL отдается сразу,
+ * а обновление запускается в фоне. На Vercel функция замораживается сразу после ответа,
+ * поэтому фоновое обновление продолжается только при следующем запросе к тому же "теплому"
+ * экземпляру (он получает ту же выполняющуюся загрузку) или начинается заново в другом.
+ * До завершения обновления все запросы получают устаревшее значение
+ * @param {string} key - Ключ
+ * @param {number} ttl - Сколько секунд непустой результат считается свежим
+ * @param {Function} load - Загрузка значения: async () => значение
+ * @returns {Promise<*>} Значение
+ */
+async function rememberStale(key, ttl, load) {
+    const cache = getCacheStore();
+    const entry = await cache.get(key);
+
+    const refresh = () => coalesce(key, async () => {
+        const value = await load();
+        if (value === null || value === undefined) return value;
+
+        const freshTtl = getTtl(value, ttl);
+        await cache.set(key, { value, freshUntil: Date.now() + freshTtl * 1000 }, freshTtl + STALE_TTL);
+        return value;
+    });
+
+    if (!entry) {
+        return refresh();
+    }
+
+    if (Date.now() < entry.freshUntil) {
+        console.log(`Кэш: свежие данные ${key}`);
+        return entry.value;
+    }
+
+    console.log(`Кэш: устаревшие данные ${key}, обновление в фоне`);
+    refresh().catch(error => {
+        console.error(`Ошибка фонового обновления ${key}:`, error.message);
+    });
+
+    return entry.value;
+}
+
+/**
+ * Одна загрузка на ключ: пока она выполняется, повторные вызовы получают тот же Promise
+ * @param {string} key - Ключ
+ * @param {Function} load - Загрузка: async () => значение
+ * @returns {Promise<*>} Результат загрузки
+ */
+function coalesce(key, load) {
+    if (inflight.has(key)) {
+        console.log(`Кэш: ожидание выполняющейся загрузки ${key}`);
+        return inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+        .then(load)
+        .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Время жизни результата: пустой хранится CACHE_TTL.empty
+ */
+function getTtl(value, ttl) {
+    return Array.isArray(value) && value.length === 0 ? CACHE_TTL.empty : ttl;
+}
+
+/**
+ * Хэш для ключа кэша. Ключи пользователей не попадают в хранилище,
+ * а разные ключи с одинаковым началом не делят кэш; длинные запросы превращаются в короткий ключ
+ * @param {string} value - API ключ, учетные данные или поисковые запросы
+ * @returns {string} 16 hex-символов SHA-256
+ */
+function hashKey(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('hex').substring(0, 16);
+}
+
+module.exports = {
+    CACHE_TTL,
+    getCacheStore,
+    remember,
+    rememberStale,
+    coalesce,
+    hashKey
+};
@@ -0,0 +1,72 @@
+const CacheStore = require('./cacheStore');
+
+/**
+ * Кэш в памяти процесса с вытеснением давно не использованных записей (LRU).
+ * Живет, пока жив "теплый" экземпляр функции. Значения хранятся сериализованными:
+ * так считается занятый объем и вызывающий код не может изменить закэшированные данные
+ */
+class MemoryCache extends CacheStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Максимум записей
+     * @param {number} options.maxBytes - Максимальный суммарный размер значений в байтах
+     */
+    constructor({ maxEntries = 1000, maxBytes = 50 * 1024 * 1024 } = {}) {
+        super('Memory');
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        // Порядок Map - порядок использования: первая запись - самая давняя
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() > entry.expires) {
+            this.remove(key);
+            return null;
+        }
+
+        // Перемещаем в конец - запись использована последней
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return JSON.parse(entry.data);
+    }
+
+    async set(key, value, ttl) {
+        const data = JSON.stringify(value);
+        const size = Buffer.byteLength(data);
+
+        this.remove(key);
+        if (size > this.maxBytes) return;
+
+        this.entries.set(key, { data, size, expires: Date.now() + ttl * 1000 });
+        this.bytes += size;
+
+        // Вытесняем самые давние записи, пока не уложимся в лимиты
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.remove(oldest);
+        }
+    }
+
+    async delete(key) {
+        this.remove(key);
+    }
+
+    /**
+     * Удаление записи с учетом занятого объема
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.bytes -= entry.size;
+        this.entries.delete(key);
+    }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,75 @@
+const Redis = require('ioredis');
+const CacheStore = require('./cacheStore');
+
+/**
+ * Кэш в Redis: общий для всех экземпляров функции и переживает холодный старт.
+ * Подходит локальный Redis (redis://localhost:6379) и Vercel KV (KV_URL, rediss://...)
+ */
+class RedisCache extends CacheStore {
+    /**
+     * @param {string} url - URL подключения redis:// или rediss://
+     * @param {Object} options
+     * @param {string} options.prefix - Префикс ключей, чтобы делить одну базу с другими приложениями
+     */
+    constructor(url, { prefix = 'rdru:' } = {}) {
+        super('Redis');
+        this.prefix = prefix;
+        this.client = new Redis(url, {
+            lazyConnect: true,
+            connectTimeout: 3000,
+            commandTimeout: 2000,
+            // Недоступный Redis не должен задерживать ответ Stremio - лучше промах кэша
+            maxRetriesPerRequest: 1
+        });
+
+        // При недоступном Redis клиент переподключается в фоне - пишем в лог только первую ошибку
+        this.connected = true;
+        this.client.on('error', error => {
+            if (this.connected) console.error('Ошибка Redis:', error.message);
+            this.connected = false;
+        });
+        this.client.on('ready', () => {
+            this.connected = true;
+        });
+    }
+
+    async get(key) {
+        try {
+            const data = await this.client.get(this.prefix + key);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error(`Ошибка чтения кэша Redis (${key}):`, error.message);
+            return null;
+        }
+    }
+
+    async getMany(keys) {
+        if (keys.length === 0) return [];
+
+        try {
+            const values = await this.client.mget(keys.map(key => this.prefix + key));
+            return values.map(data => data ? JSON.parse(data) : null);
+        } catch (error) {
+            console.error('Ошибка чтения кэша Redis (mget):', error.message);
+            return keys.map(() => null);
+        }
+    }
+
+    async set(key, value, ttl) {
+        try {
+            await this.client.set(this.prefix + key, JSON.stringify(value), 'EX', Math.max(1, Math.round(ttl)));
+        } catch (error) {
+            console.error(`Ошибка записи кэша Redis (${key}):`, error.message);
+        }
+    }
+
+    async delete(key) {
+        try {
+            await this.client.del(this.prefix + key);
+        } catch (error) {
+            console.error(`Ошибка удаления из кэша Redis (${key}):`, error.message);
+        }
+    }
+}
+
+module.exports = RedisCache;
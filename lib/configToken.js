@@ -0,0 +1,208 @@
+/**
+ * Конфигурация пользователя в URL аддона.
+ * С секретом CONFIG_SECRET конфигурация шифруется (AES-256-GCM) в непрозрачный токен "v1.<данные>",
+ * без него - base64 JSON. Старые URL с base64 или голым API ключом продолжают работать
+ */
+
+const crypto = require('crypto');
+const { hashKey } = require('./cache');
+
+const TOKEN_VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Поля конфигурации, которые нельзя выводить в логи
+const SECRET_FIELDS = /key|password|cookie|token|secret/i;
+
+/**
+ * Ключ шифрования из секрета окружения
+ * @returns {Buffer|null} 32 байта или null, если секрет не задан
+ */
+function getKey() {
+    const secret = process.env.CONFIG_SECRET;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+/**
+ * Шифрование конфигурации
+ * @param {Object} config - Конфигурация пользователя
+ * @returns {string} Токен "v1.<iv|шифротекст|тег в base64url>"
+ */
+function encryptConfig(config) {
+    const key = getKey();
+    if (!key) throw new Error('CONFIG_SECRET не задан');
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    // Версия входит в аутентифицируемые данные - токен нельзя выдать за другую версию формата
+    cipher.setAAD(Buffer.from(TOKEN_VERSION));
+
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(config), 'utf8'), cipher.final()]);
+    const payload = Buffer.concat([iv, encrypted, cipher.getAuthTag()]);
+
+    return `${TOKEN_VERSION}.${payload.toString('base64url')}`;
+}
+
+/**
+ * Расшифровка токена конфигурации
+ * @param {string} token - Токен "v1.<данные>"
+ * @returns {Object} Конфигурация
+ */
+function decryptConfig(token) {
+    const [version, data] = token.split('.');
+    if (version !== TOKEN_VERSION || !data) {
+        throw new Error(`Неизвестная версия токена: ${version}`);
+    }
+
+    const key = getKey();
+    if (!key) throw new Error('CONFIG_SECRET не задан');
+
+    const payload = Buffer.from(data, 'base64url');
+    if (payload.length <= IV_LENGTH + TAG_LENGTH) {
+        throw new Error('Токен поврежден');
+    }
+
+    const iv = payload.subarray(0, IV_LENGTH);
+    const tag = payload.subarray(payload.length - TAG_LENGTH);
+    const encrypted = payload.subarray(IV_LENGTH, payload.length - TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(Buffer.from(TOKEN_VERSION));
+    decipher.setAuthTag(tag);
+
+    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+}
+
+/**
+ * Сегмент URL для конфигурации: зашифрованный токен, если задан секрет, иначе base64 JSON
+ * @param {Object} config - Конфигурация пользователя
+ * @returns {Object} { segment, encrypted }
+ */
+function encodeConfig(config) {
+    if (getKey()) {
+        return { segment: encryptConfig(config), encrypted: true };
+    }
+
+    return { segment: Buffer.from(JSON.stringify(config)).toString('base64url'), encrypted: false };
+}
+
+/**
+ * Разбор первого сегмента URL
+ * @param {string} segment - Сегмент: токен, base64 JSON или голый API ключ Real-Debrid
+ * @returns {Object|null} Конфигурация или null, если сегмент не похож на конфигурацию
+ */
+function decodeConfig(segment) {
+    if (segment.startsWith(`${TOKEN_VERSION}.`)) {
+        try {
+            return decryptConfig(segment);
+        } catch (error) {
+            console.error('Ошибка расшифровки конфигурации:', error.message);
+            return null;
+        }
+    }
+
+    try {
+        const config = JSON.parse(Buffer.from(segment, 'base64').toString());
+        if (config && typeof config === 'object') return config;
+    } catch (e) {
+        // Не base64 - возможно, голый API ключ
+    }
+
+    // API ключи длинные, короткий сегмент - это путь, а не ключ
+    return segment.length > 20 ? { rdApiKey: segment } : null;
+}
+
+/**
+ * Маскирование секрета: оставляем первые символы, чтобы различать ключи в логах
+ */
+function maskSecret(value) {
+    const text = String(value);
+    return text.length > 8 ? `${text.substring(0, 4)}***` : '***';
+}
+
+/**
+ * Копия конфигурации без секретов для логов
+ * @param {Object} config - Конфигурация пользователя
+ * @returns {Object} Конфигурация с замаскированными ключами, паролями и cookie
+ */
+function redactConfig(config) {
+    const redacted = {};
+    Object.entries(config || {}).forEach(([field, value]) => {
+        redacted[field] = isSecretField(field) && value ? maskSecret(value) : value;
+    });
+    return redacted;
+}
+
+/**
+ * Ключ конфигурации для кэша: все настройки, влияющие на выдачу, без значений секретов.
+ * От ключа или пароля зависит только то, задан ли он (например, ищется ли RuTracker)
+ * @param {Object} config - Конфигурация пользователя
+ * @returns {string} Хэш нормализованной конфигурации
+ */
+function getConfigKey(config) {
+    const normalized = Object.keys(config || {})
+        .filter(field => config[field] !== undefined && config[field] !== null && config[field] !== '')
+        .sort()
+        .map(field => [field, isSecretField(field) ? true : config[field]]);
+
+    return hashKey(JSON.stringify(normalized));
+}
+
+/**
+ * Поле с секретом: ключ, пароль, cookie
+ * @param {string} field - Имя поля конфигурации
+ * @returns {boolean}
+ */
+function isSecretField(field) {
+    return SECRET_FIELDS.test(field);
+}
+
+/**
+ * Перенос сохраненных секретов в новую конфигурацию.
+ * Страница настройки не показывает секреты, пустое поле означает "не менять"
+ * @param {Object} config - Новая конфигурация со страницы настройки
+ * @param {Object} previous - Текущая конфигурация из URL установленного аддона
+ * @returns {Object} Конфигурация с секретами из текущей, если новые не введены
+ */
+function mergeSecrets(config, previous = {}) {
+    const merged = { ...config };
+    // Старые установки хранят ключ Real-Debrid в rdApiKey
+    const saved = previous.rdApiKey && !previous.debridApiKey
+        ? { ...previous, debridApiKey: previous.rdApiKey }
+        : previous;
+    // Ключ другого debrid-сервиса не подходит - при смене сервиса его нужно ввести заново
+    const sameProvider = (config.debridProvider || 'realdebrid') === (previous.debridProvider || 'realdebrid');
+
+    Object.entries(saved).forEach(([field, value]) => {
+        if (field === 'rdApiKey' || !isSecretField(field) || !value) return;
+        if (field === 'debridApiKey' && !sameProvider) return;
+        if (merged[field] === undefined || merged[field] === null || merged[field] === '') {
+            merged[field] = value;
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Путь запроса без конфигурации для логов
+ * @param {string} path - Путь запроса
+ * @param {string|null} segment - Сегмент конфигурации из этого пути
+ * @returns {string} Путь с "/***" вместо конфигурации
+ */
+function redactPath(path, segment) {
+    return segment ? path.replace(segment, '***') : path;
+}
+
+module.exports = {
+    encodeConfig,
+    decodeConfig,
+    encryptConfig,
+    decryptConfig,
+    redactConfig,
+    redactPath,
+    getConfigKey,
+    isSecretField,
+    mergeSecrets
+};
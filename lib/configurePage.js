@@ -0,0 +1,302 @@
+/**
+ * Страница настройки аддона (/configure).
+ * Собирает все параметры в JSON, сервер шифрует его в токен (/encrypt) - первый сегмент URL аддона
+ */
+
+const { isSecretField } = require('./configToken');
+
+const RESOLUTIONS = ['4K', '1080p', '720p', '480p'];
+const EXCLUDE_OPTIONS = [
+    ['CAM', 'CAMRip (экранки)'],
+    ['TS', 'TS / Telesync'],
+    ['sample', 'Сэмплы и трейлеры']
+];
+const DEFAULT_EXCLUDE = ['CAM', 'TS', 'sample'];
+const SAVED_PLACEHOLDER = 'сохранено - оставьте пустым, чтобы не менять';
+const LANGUAGES = [
+    ['ru', 'Русская озвучка'],
+    ['original', 'Оригинал с субтитрами']
+];
+
+/**
+ * Экранирование значения для HTML
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Список из конфигурации: массив или строка через запятую
+ */
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * HTML страницы настройки
+ * @param {Object} options
+ * @param {string} options.host - Хост аддона
+ * @param {Object} options.config - Текущая конфигурация (при перенастройке установленного аддона)
+ * @param {string} [options.segment] - Сегмент конфигурации из URL: /encrypt берет из него сохраненные секреты
+ * @param {Object} options.providers - Реестр debrid-сервисов
+ * @param {Array} options.trackers - Трекеры [{ id, name, enabled }]
+ * @returns {string} HTML
+ */
+function renderConfigurePage({ host, config = {}, segment = null, providers, trackers }) {
+    // Старые установки передают только rdApiKey
+    const provider = config.debridProvider || 'realdebrid';
+    const hasApiKey = Boolean(config.debridApiKey || config.rdApiKey);
+    const selectedTrackers = toList(config.trackers);
+    const exclude = config.exclude === undefined ? DEFAULT_EXCLUDE : toList(config.exclude);
+    const requiredResolutions = toList(config.requiredResolutions);
+    const checked = value => value ? 'checked' : '';
+
+    // Секреты не выводятся в страницу: ее URL содержит токен и может попасть к посторонним
+    const text = (key, title, placeholder = '', type = 'text') => {
+        const secret = isSecretField(key);
+        const value = secret ? '' : config[key];
+        const hint = secret && config[key] ? SAVED_PLACEHOLDER : placeholder;
+
+        return `
+                <label>${title}
+                    <input type="${type}" name="${key}" value="${escapeHtml(value)}" placeholder="${escapeHtml(hint)}">
+                </label>`;
+    };
+
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+            <title>Настройка - Real-Debrid Russian Torrents</title>
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+                    max-width: 900px;
+                    margin: 50px auto;
+                    padding: 20px;
+                    background: #0f0f0f;
+                    color: #e0e0e0;
+                    line-height: 1.6;
+                }
+                h1 { color: #7b5bf5; }
+                h2 { color: #9575cd; margin-top: 0; }
+                a { color: #7b5bf5; }
+                .card {
+                    background: #1a1a1a;
+                    padding: 20px;
+                    border-radius: 8px;
+                    margin: 20px 0;
+                    border: 1px solid #333;
+                }
+                label { display: block; margin: 12px 0; }
+                .inline { display: inline-block; margin: 6px 16px 6px 0; }
+                input[type="text"], input[type="password"], input[type="number"], select {
+                    width: 100%;
+                    padding: 10px;
+                    background: #2a2a2a;
+                    border: 1px solid #444;
+                    border-radius: 4px;
+                    color: #e0e0e0;
+                    font-family: monospace;
+                    margin-top: 6px;
+                    box-sizing: border-box;
+                }
+                .hint { color: #888; font-size: 0.9em; }
+                .url-box {
+                    background: #2a2a2a;
+                    padding: 15px;
+                    border-radius: 6px;
+                    margin: 15px 0;
+                    border-left: 4px solid #7b5bf5;
+                    font-family: monospace;
+                    word-break: break-all;
+                }
+                .install-btn, .copy-btn {
+                    display: inline-block;
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    text-decoration: none;
+                    border-radius: 6px;
+                    font-weight: bold;
+                    margin: 10px 5px 0 0;
+                    cursor: pointer;
+                    font-size: 1em;
+                }
+                .install-btn { background: #7b5bf5; }
+                .copy-btn { background: #4caf50; }
+                .error { color: #ff9800; }
+            </style>
+        </head>
+        <body>
+            <h1>⚙️ Настройка аддона</h1>
+            <p><a href="/">← На главную</a></p>
+
+            <form id="configForm" onsubmit="return false">
+                <div class="card">
+                    <h2>⚡ Debrid-сервис</h2>
+                    <label>Сервис
+                        <select name="debridProvider">
+                            ${Object.entries(providers).map(([id, item]) =>
+                                `<option value="${id}" ${id === provider ? 'selected' : ''}>${escapeHtml(item.name)}</option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                    <label>API ключ
+                        <input type="password" name="debridApiKey" value="" placeholder="${hasApiKey ? SAVED_PLACEHOLDER : 'API ключ debrid-сервиса'}">
+                    </label>
+                    <p class="hint">Получить ключ: ${Object.values(providers).map(item =>
+                        `<a href="${item.apiKeyUrl}" target="_blank">${escapeHtml(item.name)}</a>`
+                    ).join(', ')}</p>
+                    <label class="inline"><input type="checkbox" name="showUncached" ${checked(config.showUncached)}> Показывать незакэшированные торренты (загрузка в debrid-сервис)</label>
+                </div>
+
+                <div class="card">
+                    <h2>🇷🇺 Трекеры</h2>
+                    ${trackers.map(tracker => `
+                    <label class="inline"><input type="checkbox" name="trackers" value="${tracker.id}"
+                        ${checked(selectedTrackers.length > 0 ? selectedTrackers.includes(tracker.id) : tracker.enabled)}> ${escapeHtml(tracker.name)}</label>`
+                    ).join('')}
+                    ${text('rutrackerLogin', 'RuTracker логин')}
+                    ${text('rutrackerPassword', 'RuTracker пароль', '', 'password')}
+                    ${text('kinozalLogin', 'Kinozal логин')}
+                    ${text('kinozalPassword', 'Kinozal пароль', '', 'password')}
+                    <p class="hint">Без логина RuTracker и Kinozal пропускаются, если на сервере не заданы общие учетные данные</p>
+                </div>
+
+                <div class="card">
+                    <h2>🎚 Фильтры</h2>
+                    <p>Исключить:</p>
+                    ${EXCLUDE_OPTIONS.map(([value, title]) => `
+                    <label class="inline"><input type="checkbox" name="exclude" value="${value}" ${checked(exclude.includes(value))}> ${title}</label>`
+                    ).join('')}
+                    <p>Только эти разрешения (ничего не выбрано - любые):</p>
+                    ${RESOLUTIONS.map(resolution => `
+                    <label class="inline"><input type="checkbox" name="requiredResolutions" value="${resolution}" ${checked(requiredResolutions.includes(resolution))}> ${resolution}</label>`
+                    ).join('')}
+                    ${text('minSize', 'Минимальный размер, ГБ', '', 'number')}
+                    ${text('maxSize', 'Максимальный размер, ГБ', '', 'number')}
+                    ${text('sizeLimits', 'Размер по разрешениям, ГБ', '4K:10-80, 1080p:2-20, 720p:-5')}
+                    ${text('minSeeders', 'Минимум сидов', '', 'number')}
+                    ${text('blacklist', 'Исключать раздачи со словами', 'экранка, звук с TS')}
+                    ${text('whitelist', 'Только раздачи со словами', 'LostFilm, HDRezka')}
+                </div>
+
+                <div class="card">
+                    <h2>🎞 Метаданные</h2>
+                    ${text('tmdbApiKey', 'TMDB API ключ - русские и альтернативные названия')}
+                    ${text('omdbApiKey', 'OMDb API ключ')}
+                    <p class="hint">Без ключей названия берутся из Cinemeta (только английские). Ключ TMDB: <a href="https://www.themoviedb.org/settings/api" target="_blank">themoviedb.org</a></p>
+                </div>
+
+                <div class="card">
+                    <h2>🏆 Сортировка</h2>
+                    ${text('resolutions', 'Разрешения по порядку предпочтения', RESOLUTIONS.join(', '))}
+                    ${text('studios', 'Студии перевода по порядку предпочтения', 'LostFilm, HDRezka, Кубик в Кубе')}
+                    ${text('codecs', 'Кодеки по порядку предпочтения', 'HEVC, H.264')}
+                    <label>Язык
+                        <select name="language">
+                            ${LANGUAGES.map(([value, title]) =>
+                                `<option value="${value}" ${value === (config.language || 'ru') ? 'selected' : ''}>${title}</option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                    ${text('maxResults', 'Максимум потоков в списке (пусто - без ограничения)', '', 'number')}
+                    <label class="inline"><input type="checkbox" name="debug" ${checked(config.debug)}> Режим отладки: показывать расчет рейтинга</label>
+                </div>
+
+                <div class="card">
+                    <h2>📥 Установка</h2>
+                    <p id="error" class="error"></p>
+                    <p id="plainHint" class="hint" style="display:none">URL содержит настройки в открытом виде: чтобы шифровать их, задайте переменную окружения <code>CONFIG_SECRET</code></p>
+                    <div class="url-box" id="manifestUrl"></div>
+                    <a id="installLink" class="install-btn" href="#">Установить в Stremio</a>
+                    <button class="copy-btn" type="button" onclick="copyUrl()">📋 Скопировать URL</button>
+                </div>
+            </form>
+
+            <script>
+                const HOST = ${JSON.stringify(host).replace(/</g, '\\u003c')};
+                // Сохраненные секреты сервер берет из текущего URL, на страницу они не попадают
+                const ENCRYPT_URL = ${JSON.stringify(segment ? `/${segment}/encrypt` : '/encrypt').replace(/</g, '\\u003c')};
+                const SAVED_KEY_PROVIDER = ${JSON.stringify(hasApiKey ? provider : null)};
+                const form = document.getElementById('configForm');
+                const LISTS = ['trackers', 'exclude', 'requiredResolutions'];
+
+                function buildConfig() {
+                    const config = {};
+
+                    form.querySelectorAll('input, select').forEach(input => {
+                        if (LISTS.includes(input.name)) return;
+
+                        if (input.type === 'checkbox') {
+                            if (input.checked) config[input.name] = true;
+                        } else if (input.value.trim()) {
+                            config[input.name] = input.value.trim();
+                        }
+                    });
+
+                    LISTS.forEach(name => {
+                        const values = Array.from(form.querySelectorAll('input[name="' + name + '"]:checked'))
+                            .map(input => input.value);
+                        // Пустой список исключений - осознанный выбор, его нужно сохранить
+                        if (values.length > 0 || name === 'exclude') config[name] = values.join(',');
+                    });
+
+                    return config;
+                }
+
+                let requestId = 0;
+
+                async function update() {
+                    const config = buildConfig();
+                    const error = document.getElementById('error');
+                    const current = ++requestId;
+
+                    const hasKey = config.debridApiKey || config.debridProvider === SAVED_KEY_PROVIDER;
+                    error.textContent = hasKey ? '' : '⚠️ Укажите API ключ debrid-сервиса';
+
+                    try {
+                        const response = await fetch(ENCRYPT_URL, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(config)
+                        });
+                        const { segment, encrypted } = await response.json();
+
+                        // Ответ на устаревший запрос - пользователь уже изменил настройки
+                        if (current !== requestId) return;
+
+                        const url = HOST + '/' + segment + '/manifest.json';
+                        document.getElementById('manifestUrl').textContent = 'https://' + url;
+                        document.getElementById('installLink').href = 'stremio://' + url;
+                        document.getElementById('plainHint').style.display = encrypted ? 'none' : 'block';
+                    } catch (err) {
+                        error.textContent = '❌ Не удалось сформировать URL: ' + err.message;
+                    }
+                }
+
+                function copyUrl() {
+                    const text = document.getElementById('manifestUrl').textContent;
+                    navigator.clipboard.writeText(text).then(() => alert('✅ URL скопирован в буфер обмена!'));
+                }
+
+                form.addEventListener('input', update);
+                form.addEventListener('change', update);
+                update();
+            </script>
+        </body>
+        </html>
+    `;
+}
+
+module.exports = {
+    renderConfigurePage
+};
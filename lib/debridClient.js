@@ -0,0 +1,235 @@
+const FileSelector = require('./fileSelector');
+const TorrentUtils = require('./utils');
+const { CACHE_TTL, getCacheStore } = require('./cache');
+
+const POLL_INTERVAL = 1000; // 1 секунда между проверками статуса
+// Общее время ожидания статуса на один запрос ссылки: с запросами к API укладывается в 10 секунд функции Vercel Hobby
+const POLL_TIMEOUT = 5000;
+const BATCH_CONCURRENCY = 3; // Одновременных запросов при пакетной проверке кэша
+
+/**
+ * Выполнение асинхронных задач с ограничением числа одновременных
+ * @param {Array<Function>} tasks - Функции, возвращающие Promise
+ * @param {number} limit - Максимум одновременно выполняемых задач
+ * @returns {Promise<Array>} Результаты в порядке задач
+ */
+async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            results[index] = await tasks[index]();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+    return results;
+}
+
+/**
+ * Базовый класс debrid-сервиса.
+ * Все провайдеры реализуют одинаковый интерфейс: проверка кэша, добавление магнета,
+ * выбор файлов, получение прямой ссылки и информации об аккаунте
+ */
+class DebridClient {
+    /**
+     * @param {string} apiKey - API ключ сервиса
+     * @param {Object} options - Параметры провайдера
+     * @param {string} options.provider - ID провайдера (realdebrid, alldebrid, ...)
+     * @param {string} options.name - Название сервиса
+     * @param {string} options.shortName - Короткое название для имени потока
+     * @param {string} options.baseURL - Базовый URL API
+     * @param {number} options.batchSize - Максимум хэшей в одном запросе проверки кэша
+     */
+    constructor(apiKey, { provider, name, shortName, baseURL, batchSize = 1 }) {
+        this.apiKey = apiKey;
+        this.provider = provider;
+        this.name = name;
+        this.shortName = shortName;
+        this.baseURL = baseURL;
+        this.batchSize = batchSize;
+        this.pollTimeout = POLL_TIMEOUT;
+    }
+
+    /**
+     * Проверка доступности торрента в кэше сервиса
+     * @param {string} infoHash - Info hash торрента
+     * @returns {Promise<Object>} { available, files: [{ id, path, size }], partial - в files не все файлы торрента }
+     */
+    async checkAvailability(infoHash) {
+        const availability = await this.checkAvailabilityBatch([infoHash]);
+        return availability[infoHash.toUpperCase()];
+    }
+
+    /**
+     * Пакетная проверка доступности торрентов в кэше сервиса.
+     * Наличие в кэше сервиса одинаково для всех пользователей - результаты хранятся в общем кэше
+     * по провайдеру и хэшу, у сервиса проверяются только остальные хэши.
+     * Хэши делятся на части по batchSize, части проверяются параллельно с ограничением
+     * @param {Array<string>} infoHashes - Info hash торрентов
+     * @returns {Promise<Object>} Информация о доступности по info hash в верхнем регистре
+     */
+    async checkAvailabilityBatch(infoHashes) {
+        const hashes = [...new Set(infoHashes.map(hash => hash.toUpperCase()))];
+        const cache = getCacheStore();
+        const cacheKey = hash => `availability:${this.provider}:${hash}`;
+
+        const availability = {};
+        const cached = await cache.getMany(hashes.map(cacheKey));
+        const missing = hashes.filter((hash, i) => {
+            if (cached[i]) availability[hash] = cached[i];
+            return !cached[i];
+        });
+
+        if (hashes.length > missing.length) {
+            console.log(`${this.name}: доступность из кэша для ${hashes.length - missing.length} из ${hashes.length}`);
+        }
+
+        const chunks = [];
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            chunks.push(missing.slice(i, i + this.batchSize));
+        }
+
+        await runWithConcurrency(chunks.map(chunk => async () => {
+            let result;
+            try {
+                result = await this.checkAvailabilityChunk(chunk);
+            } catch (error) {
+                // Ошибку не кэшируем - проверим эти хэши при следующем запросе
+                console.error(`Ошибка проверки доступности ${this.name}:`, error.message);
+                chunk.forEach(hash => {
+                    availability[hash] = { available: false };
+                });
+                return;
+            }
+
+            // Отсутствие в кэше - ненадолго: торрент может скачать другой пользователь
+            await Promise.all(chunk.map(hash => {
+                const entry = result[hash] || { available: false };
+                availability[hash] = entry.files
+                    ? { ...entry, files: entry.files.map(file => ({ ...file, key: FileSelector.getKey(file) })) }
+                    : entry;
+                const ttl = availability[hash].available ? CACHE_TTL.availability : CACHE_TTL.empty;
+                return cache.set(cacheKey(hash), availability[hash], ttl);
+            }));
+        }), BATCH_CONCURRENCY);
+
+        return availability;
+    }
+
+    /**
+     * Проверка доступности части хэшей одним запросом
+     * @param {Array<string>} infoHashes - Info hash торрентов в верхнем регистре, не больше batchSize
+     * @returns {Promise<Object>} Информация о доступности по info hash (только найденные в кэше)
+     */
+    async checkAvailabilityChunk(infoHashes) {
+        throw new Error(`${this.name}: checkAvailabilityChunk не реализован`);
+    }
+
+    /**
+     * Добавление магнет-ссылки в аккаунт
+     * @param {string} magnet - Магнет-ссылка
+     * @returns {Promise<Object>} Информация о добавленном торренте, содержит id
+     */
+    async addMagnet(magnet) {
+        throw new Error(`${this.name}: addMagnet не реализован`);
+    }
+
+    /**
+     * Выбор файлов из торрента. Сервисы без выбора файлов загружают торрент целиком
+     * @param {string} torrentId - ID торрента
+     * @param {string} fileIds - ID файлов через запятую или 'all'
+     * @returns {Promise<void>}
+     */
+    async selectFiles(torrentId, fileIds = 'all') {}
+
+    /**
+     * Получение прямой ссылки для стриминга файла из торрента
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID файла (1-based) или null для самого большого видео
+     * @param {Object|null} episode - Серия { season, episode, absoluteEpisode } для сервисов без полного списка файлов
+     *                                в проверке кэша: файл серии выбирается из готового торрента
+     * @returns {Promise<Object>} Статус загрузки { status, progress, failed, url }, url - только для загруженного торрента
+     */
+    async getStreamLink(infoHash, fileId = null, episode = null) {
+        throw new Error(`${this.name}: getStreamLink не реализован`);
+    }
+
+    /**
+     * Получение информации об аккаунте
+     * @returns {Promise<Object>} Информация об аккаунте
+     */
+    async getUserInfo() {
+        throw new Error(`${this.name}: getUserInfo не реализован`);
+    }
+
+    /**
+     * Выбор ID файла: запрошенный, если это видео из торрента, иначе самое большое видео без сэмплов и доп. материалов
+     * @param {Array} files - Файлы торрента [{ id, path, size }]
+     * @param {number|null} fileId - Запрошенный ID файла
+     * @returns {number|null} ID файла
+     */
+    pickFileId(files = [], fileId = null) {
+        const requested = fileId ? files.find(file => file.id === fileId) : null;
+        if (requested && TorrentUtils.isVideoFile(requested.path)) {
+            return fileId;
+        }
+
+        const largest = FileSelector.findLargestVideo(files);
+        return largest ? largest.id : null;
+    }
+
+    /**
+     * ID файла при получении ссылки для сервисов, у которых номера файлов в проверке кэша
+     * и в готовом торренте разные: файл из проверки ищется по ключу (имя и размер)
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID файла из проверки кэша (из URL /resolve)
+     * @param {Array} files - Файлы готового торрента [{ id, path, size }]
+     * @param {Object|null} episode - Серия { season, episode, absoluteEpisode }, если файл из проверки неизвестен
+     * @returns {Promise<number|null>} ID файла в files или null, если файла серии нет
+     */
+    async resolveFileId(infoHash, fileId, files, episode = null) {
+        if (fileId) {
+            const availability = await this.checkAvailability(infoHash);
+            const requested = availability && (availability.files || []).find(file => file.id === fileId);
+
+            if (requested) {
+                const key = requested.key || FileSelector.getKey(requested);
+                const match = files.find(file => FileSelector.getKey(file) === key);
+                if (match) return this.pickFileId(files, match.id);
+            }
+
+            console.log(`${this.name}: файл ${fileId} не найден в ${infoHash}, выбирается самое большое видео`);
+        }
+
+        // Самое большое видео сезона - другая серия
+        if (episode) {
+            const file = FileSelector.select(files, { type: 'series', ...episode });
+            return file ? file.id : null;
+        }
+
+        return this.pickFileId(files, null);
+    }
+
+    /**
+     * Повторный запрос состояния, пока оно остается промежуточным и не вышло время
+     * @param {Function} fetchState - Функция получения состояния
+     * @param {Function} isPending - Проверка, нужно ли продолжать ждать
+     * @param {number} deadline - Время (мс), после которого не ждем; общее для нескольких ожиданий одного запроса
+     * @returns {Promise<Object>} Последнее полученное состояние
+     */
+    async poll(fetchState, isPending, deadline = Date.now() + this.pollTimeout) {
+        let state = await fetchState();
+
+        while (isPending(state) && Date.now() + POLL_INTERVAL <= deadline) {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+            state = await fetchState();
+        }
+
+        return state;
+    }
+}
+
+module.exports = DebridClient;
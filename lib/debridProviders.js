@@ -0,0 +1,71 @@
+/**
+ * Реестр debrid-сервисов
+ */
+
+const RealDebridClient = require('./realdebrid');
+const AllDebridClient = require('./alldebrid');
+const PremiumizeClient = require('./premiumize');
+const TorBoxClient = require('./torbox');
+
+const DEFAULT_PROVIDER = 'realdebrid';
+
+const PROVIDERS = {
+    realdebrid: {
+        name: 'Real-Debrid',
+        Client: RealDebridClient,
+        apiKeyUrl: 'https://real-debrid.com/apitoken'
+    },
+    alldebrid: {
+        name: 'AllDebrid',
+        Client: AllDebridClient,
+        apiKeyUrl: 'https://alldebrid.com/apikeys'
+    },
+    premiumize: {
+        name: 'Premiumize',
+        Client: PremiumizeClient,
+        apiKeyUrl: 'https://www.premiumize.me/account'
+    },
+    torbox: {
+        name: 'TorBox',
+        Client: TorBoxClient,
+        apiKeyUrl: 'https://torbox.app/settings'
+    }
+};
+
+/**
+ * Определение провайдера и API ключа из конфигурации пользователя.
+ * Старые установки передают только rdApiKey - это Real-Debrid
+ * @param {Object} config - Конфигурация пользователя
+ * @returns {Object|null} { provider, apiKey } или null, если ключ не задан
+ */
+function getDebridConfig(config) {
+    if (!config) return null;
+
+    const provider = config.debridProvider || DEFAULT_PROVIDER;
+    const apiKey = config.debridApiKey || (provider === DEFAULT_PROVIDER ? config.rdApiKey : null);
+
+    if (!PROVIDERS[provider] || !apiKey) return null;
+
+    return { provider, apiKey };
+}
+
+/**
+ * Создание клиента debrid-сервиса по конфигурации пользователя
+ * @param {Object} config - Конфигурация пользователя
+ * @param {Object} options - Параметры клиента (baseURL)
+ * @returns {DebridClient|null} Клиент или null, если сервис не настроен
+ */
+function createDebridClient(config, options = {}) {
+    const debridConfig = getDebridConfig(config);
+    if (!debridConfig) return null;
+
+    const { Client } = PROVIDERS[debridConfig.provider];
+    return new Client(debridConfig.apiKey, options);
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    getDebridConfig,
+    createDebridClient
+};
@@ -0,0 +1,162 @@
+const TorrentUtils = require('./utils');
+const ReleaseParser = require('./releaseParser');
+
+// Допустимое расхождение размера: трекеры показывают размер округленным ("1.46 ГБ")
+const SIZE_TOLERANCE = 0.01;
+
+// Сэмплы и дополнительные материалы: их не выбираем, даже если они крупнее фильма
+const EXTRAS = /(?<![a-zа-яё])(sample|extras?|featurettes?|bonus(es)?|trailers?|behind[\s._-]the[\s._-]scenes|deleted[\s._-]scenes|interviews?|доп(\.|олнительные)?[\s._-]*материалы|бонусы?|трейлеры?)(?![a-zа-яё])/i;
+
+/**
+ * Выбор файла в раздаче.
+ * У файла два независимых номера: id - номер в debrid-сервисе (для /resolve),
+ * index - позиция в списке файлов самого торрента с 0 (fileIdx в Stremio).
+ * У Real-Debrid id = позиция + 1, у остальных сервисов id - номер в их собственном списке
+ */
+class FileSelector {
+    /**
+     * Приведение файлов из проверки доступности к виду { id, index, path, size }
+     * @param {Array} files - Файлы debrid-сервиса [{ id, index?, path, size }]
+     * @param {Array} torrentFiles - Файлы из .torrent в порядке торрента [{ path, size }], если известны
+     * @returns {Array} Файлы с id и index (index = null, если позиция в торренте неизвестна)
+     */
+    static normalize(files = [], torrentFiles = []) {
+        const basename = path => String(path || '').split('/').pop();
+
+        return files.map((file, i) => {
+            const path = file.path || file.name || '';
+            let index = Number.isInteger(file.index) ? file.index : null;
+
+            // Позиция по имени и размеру файла в .torrent: debrid-сервисы отдают файлы в своем порядке
+            if (index === null && torrentFiles && torrentFiles.length > 0) {
+                const found = torrentFiles.findIndex(item =>
+                    basename(item.path) === basename(path) && this.sameSize(item.size, file.size)
+                );
+                if (found !== -1) index = found;
+            }
+
+            return {
+                id: file.id !== undefined ? file.id : i + 1,
+                index,
+                path,
+                size: file.size || 0
+            };
+        });
+    }
+
+    /**
+     * Совпадение размеров с учетом округления на странице трекера; неизвестный размер совпадает с любым
+     * @param {number|null} a - Размер в байтах
+     * @param {number|null} b - Размер в байтах
+     * @returns {boolean} True если размеры совпадают
+     */
+    static sameSize(a, b) {
+        if (!a || !b) return true;
+        return Math.abs(a - b) <= Math.max(a, b) * SIZE_TOLERANCE;
+    }
+
+    /**
+     * Ключ файла, не зависящий от нумерации сервиса: имя файла и размер.
+     * Сервисы нумеруют файлы при проверке кэша и при получении ссылки по-разному, совпадает только ключ
+     * @param {Object} file - Файл { path, size }
+     * @returns {string} Ключ вида "movie.mkv:1234"
+     */
+    static getKey(file) {
+        const name = String(file.path || file.name || '').split('/').pop().toLowerCase();
+        return `${name}:${parseInt(file.size) || 0}`;
+    }
+
+    /**
+     * Сэмпл или дополнительный материал (по имени файла или папки)
+     * @param {string} path - Путь файла в раздаче
+     * @returns {boolean} True если это не основное видео
+     */
+    static isExtra(path) {
+        return EXTRAS.test(String(path || ''));
+    }
+
+    /**
+     * Файл для воспроизведения
+     * @param {Array} files - Файлы { id, index, path, size }
+     * @param {Object} params - { type, season, episode, absoluteEpisode }
+     * @returns {Object|null} Файл или null: для серии - только файл, точно совпавший с серией
+     */
+    static select(files, { type, season, episode, absoluteEpisode = null } = {}) {
+        if (type === 'series' && episode) {
+            return this.findEpisode(files, season, episode, absoluteEpisode);
+        }
+
+        return this.findLargestVideo(files);
+    }
+
+    /**
+     * Самое большое видео без сэмплов и доп. материалов, а если есть только они - самое большое из них
+     * @param {Array} files - Файлы { path, size }
+     * @returns {Object|null} Файл или null, если видео нет
+     */
+    static findLargestVideo(files = []) {
+        const videos = files.filter(file => TorrentUtils.isVideoFile(file.path));
+        const main = videos.filter(file => !this.isExtra(file.path));
+        const candidates = main.length > 0 ? main : videos;
+
+        if (candidates.length === 0) return null;
+        return candidates.reduce((largest, file) => (file.size || 0) > (largest.size || 0) ? file : largest);
+    }
+
+    /**
+     * Файл серии в раздаче. Возвращает только файл, в имени которого точно есть
+     * запрошенная серия - иначе из сезона включилась бы чужая серия
+     * @param {Array} files - Файлы { path }
+     * @param {number|null} season - Номер сезона (null у аниме)
+     * @param {number} episode - Номер серии
+     * @param {number|null} absoluteEpisode - Сквозной номер серии (аниме, раздачи без сезонов)
+     * @returns {Object|null} Файл или null
+     */
+    static findEpisode(files = [], season, episode, absoluteEpisode = null) {
+        return files.find(file =>
+            TorrentUtils.isVideoFile(file.path) &&
+            !this.isExtra(file.path) &&
+            this.matchesEpisode(file.path, season, episode, absoluteEpisode)
+        ) || null;
+    }
+
+    /**
+     * Совпадение пути файла с серией: S01E05, 1x05, "Сезон 1/Серия 05", "Season 1/E05",
+     * "Show - 05.mkv", "05.mkv" или сквозной номер
+     * @param {string} path - Путь файла в раздаче
+     * @param {number|null} season - Номер сезона
+     * @param {number} episode - Номер серии
+     * @param {number|null} absoluteEpisode - Сквозной номер серии
+     * @returns {boolean} True если файл - запрошенная серия
+     */
+    static matchesEpisode(path, season, episode, absoluteEpisode = null) {
+        const parts = path.split('/').map(part => part.replace(/[._]/g, ' '));
+        const name = path.split('/').pop().replace(/\.[a-z0-9]+$/i, '');
+
+        // Сезон - из имени файла или ближайшей папки: "Show S01-S02/Season 2/09.mkv" - второй сезон
+        const seasons = parts.reverse()
+            .map(part => ReleaseParser.parseEpisodes(part).seasons)
+            .find(items => items.length > 0) || [];
+        let { episodes } = ReleaseParser.parseEpisodes(name.replace(/[._]/g, ' '));
+
+        if (episodes.length === 0) {
+            // "E05", "Ep 05", "Show - 05 [1080p]", "05"
+            const match = name.match(/(?<![a-z0-9])ep?\s?(\d{1,4})(?![\d])/i) ||
+                name.match(/\s-\s(\d{1,4})(?![\dp])/i) ||
+                name.match(/^\s*(\d{1,4})\s*$/);
+            if (match) episodes = [parseInt(match[1])];
+        }
+
+        // Несколько серий в одном файле - не тот файл для одной серии
+        if (episodes.length !== 1) return false;
+
+        // Без запрошенного сезона (аниме) сезон файла не проверяем
+        if (seasons.length > 0 && season) {
+            return seasons.includes(season) && episodes[0] === episode;
+        }
+
+        return episodes[0] === episode || (absoluteEpisode !== null && episodes[0] === absoluteEpisode);
+    }
+}
+
+module.exports = FileSelector;
@@ -1,4 +1,14 @@
 const axios = require('axios');
+const TorrentUtils = require('./utils');
+const TorrentFile = require('./torrentFile');
+const ReleaseParser = require('./releaseParser');
+const TitleMatcher = require('./titleMatcher');
+const { CACHE_TTL, remember, hashKey } = require('./cache');
+
+const TORRENT_FILES_LIMIT = 15; // .torrent файлов, загружаемых ради info hash, на весь поиск по всем запросам
+const TORRENT_FILES_CONCURRENCY = 5;
+const MAX_REDIRECTS = 3;
+const MAX_TORRENT_SIZE = 5 * 1024 * 1024; // .torrent больше 5 МБ не загружаем - это не торрент или огромная раздача
 
 class JackettSearcher {
     constructor(jackettUrl = null, apiKey = null) {
@@ -25,18 +35,36 @@ class JackettSearcher {
             return [];
         }
 
-        const { title, year, season, episode, imdbId } = params;
-        
-        // Формирование поискового запроса
-        let searchQuery = title;
-        if (year) searchQuery += ` ${year}`;
-        if (season) {
-            searchQuery += ` S${season.toString().padStart(2, '0')}`;
-            if (episode) {
-                searchQuery += `E${episode.toString().padStart(2, '0')}`;
-            }
-        }
+        // Запрос по каждому названию: русскому и оригинальному, для серии - еще и по сезону целиком
+        const queries = TitleMatcher.getSearchTitles(params)
+            .flatMap(title => TorrentUtils.buildSearchQueries(title, params));
+
+        const categories = TorrentUtils.getCategories(params);
+
+        // Результаты не зависят от пользователя - кэш общий для всех
+        const cacheKey = `search:jackett:${hashKey(JSON.stringify([queries, params.imdbId, categories]))}`;
+
+        return remember(cacheKey, CACHE_TTL.search, async () => {
+            // Запросы идут параллельно, лимит загрузки .torrent - общий
+            const torrentFiles = { seen: new Set(), remaining: TORRENT_FILES_LIMIT };
+            const allResults = await Promise.all(
+                queries.map(query => this.searchQuery(query, params.imdbId, categories, torrentFiles))
+            );
 
+            const results = allResults.flat().sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
+            return TorrentUtils.removeDuplicates(results);
+        });
+    }
+
+    /**
+     * Поиск по одному запросу
+     * @param {string} searchQuery - Поисковый запрос
+     * @param {string|null} imdbId - IMDb ID
+     * @param {Array<number>|null} categories - Категории Newznab
+     * @param {Object|null} torrentFiles - Общий для всех запросов учет .torrent: { seen, remaining }
+     * @returns {Promise<Array>} Найденные торренты
+     */
+    async searchQuery(searchQuery, imdbId, categories = null, torrentFiles = null) {
         try {
             const url = `${this.jackettUrl}/api/v2.0/indexers/all/results`;
             
@@ -50,6 +78,11 @@ class JackettSearcher {
                 queryParams.imdbid = imdbId.replace('tt', '');
             }
 
+            // axios передаст массив как Category[]=5070&Category[]=2000
+            if (categories) {
+                queryParams.Category = categories;
+            }
+
             console.log(`Поиск через Jackett: ${searchQuery}`);
 
             const response = await axios.get(url, {
@@ -64,47 +97,28 @@ class JackettSearcher {
                 return [];
             }
 
-            const results = response.data.Results
-                .filter(item => item.MagnetUri || item.Link) // Только с магнет-ссылкой
-                .map(item => {
-                    // Извлечение info hash из магнет-ссылки
-                    let infoHash = null;
-                    if (item.MagnetUri) {
-                        const match = item.MagnetUri.match(/btih:([a-fA-F0-9]{40})/i);
-                        if (match) {
-                            infoHash = match[1].toUpperCase();
-                        }
-                    }
-
-                    if (!infoHash) return null;
-
-                    return {
-                        title: item.Title,
-                        infoHash: infoHash,
-                        size: this.formatSize(item.Size),
-                        seeders: item.Seeders || 0,
-                        peers: item.Peers || 0,
-                        quality: this.extractQuality(item.Title),
-                        source: item.Tracker || 'Jackett',
-                        magnet: item.MagnetUri,
-                        publishDate: item.PublishDate
-                    };
-                })
-                .filter(item => item !== null); // Удалить null записи
+            const items = response.data.Results.filter(item => item.MagnetUri || item.Link);
 
-            console.log(`Jackett: найдено ${results.length} результатов`);
-            
-            // Фильтрация русских трекеров (опционально)
-            const russianTrackers = ['rutracker', 'rutor', 'kinozal', 'nnmclub', 'torrentby'];
-            const russianResults = results.filter(item => 
-                russianTrackers.some(tracker => 
-                    item.source.toLowerCase().includes(tracker)
-                )
-            );
+            const results = [];
+            const linkOnly = [];
+
+            items.forEach(item => {
+                const infoHash = TorrentUtils.extractInfoHash(item.MagnetUri) ||
+                    (item.InfoHash ? item.InfoHash.toUpperCase() : null);
+
+                if (infoHash) {
+                    results.push(this.createResult(item, infoHash));
+                } else if (item.Link) {
+                    linkOnly.push(item);
+                }
+            });
+
+            // Приватные индексеры часто отдают только .torrent - хэш считаем из файла
+            results.push(...await this.resolveTorrentLinks(linkOnly, torrentFiles));
 
-            console.log(`Jackett (русские): ${russianResults.length} результатов`);
+            console.log(`Jackett: найдено ${results.length} результатов`);
 
-            return results; // Возвращаем все результаты или только russianResults
+            return results;
 
         } catch (error) {
             console.error('Ошибка поиска через Jackett:', error.message);
@@ -112,6 +126,106 @@ class JackettSearcher {
         }
     }
 
+    /**
+     * Формирование результата поиска из элемента ответа Jackett
+     * @param {Object} item - Элемент Results
+     * @param {string} infoHash - Info hash
+     * @param {Array|null} files - Файлы раздачи [{ path, size }]
+     * @returns {Object} Торрент
+     */
+    createResult(item, infoHash, files = null) {
+        const result = {
+            title: item.Title,
+            infoHash: infoHash,
+            size: this.formatSize(item.Size),
+            seeders: item.Seeders || 0,
+            peers: item.Peers || 0,
+            quality: ReleaseParser.getQuality(item.Title),
+            source: item.Tracker || 'Jackett',
+            magnet: item.MagnetUri || TorrentUtils.createMagnetLink(infoHash, item.Title),
+            publishDate: item.PublishDate
+        };
+
+        if (files) result.files = files;
+        return result;
+    }
+
+    /**
+     * Загрузка .torrent файлов для самых сидируемых результатов без магнет-ссылки.
+     * Файл, уже загруженный по другому запросу, не загружается повторно
+     * @param {Array} items - Элементы Results только со ссылкой Link
+     * @param {Object|null} torrentFiles - Учет из search: { seen, remaining }; без него - лимит на один запрос
+     * @returns {Promise<Array>} Торренты с info hash
+     */
+    async resolveTorrentLinks(items, torrentFiles = null) {
+        const files = torrentFiles || { seen: new Set(), remaining: TORRENT_FILES_LIMIT };
+
+        const candidates = [...items]
+            .filter(item => !files.seen.has(item.Link))
+            .sort((a, b) => (b.Seeders || 0) - (a.Seeders || 0))
+            .slice(0, Math.max(files.remaining, 0));
+
+        candidates.forEach(item => files.seen.add(item.Link));
+        files.remaining -= candidates.length;
+
+        const results = [];
+
+        for (let i = 0; i < candidates.length; i += TORRENT_FILES_CONCURRENCY) {
+            const chunk = candidates.slice(i, i + TORRENT_FILES_CONCURRENCY);
+            const resolved = await Promise.all(chunk.map(async item => {
+                const torrent = await this.downloadTorrent(item.Link);
+                return torrent ? this.createResult(item, torrent.infoHash, torrent.files) : null;
+            }));
+
+            results.push(...resolved.filter(Boolean));
+        }
+
+        if (candidates.length > 0) {
+            console.log(`Jackett: из .torrent файлов получено ${results.length} из ${candidates.length} info hash`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Загрузка .torrent файла через прокси-ссылку Jackett
+     * @param {string} link - Ссылка Link из ответа Jackett
+     * @param {number} redirects - Количество уже пройденных перенаправлений
+     * @returns {Promise<Object|null>} { infoHash, files } или null
+     */
+    async downloadTorrent(link, redirects = 0) {
+        try {
+            const response = await axios.get(link, {
+                timeout: 10000,
+                responseType: 'arraybuffer',
+                maxContentLength: MAX_TORRENT_SIZE,
+                maxRedirects: 0,
+                validateStatus: status => status < 400,
+                headers: {
+                    'User-Agent': 'Stremio-RD-Addon/1.0'
+                }
+            });
+
+            // Часть индексеров вместо файла перенаправляет на магнет-ссылку
+            const location = response.headers.location;
+            if (location) {
+                if (location.startsWith('magnet:')) {
+                    const infoHash = TorrentUtils.extractInfoHash(location);
+                    return infoHash ? { infoHash, files: null } : null;
+                }
+                if (redirects >= MAX_REDIRECTS) return null;
+                return this.downloadTorrent(new URL(location, link).toString(), redirects + 1);
+            }
+
+            const { infoHash, files } = TorrentFile.parse(Buffer.from(response.data));
+            return { infoHash, files };
+
+        } catch (error) {
+            console.error('Ошибка загрузки .torrent из Jackett:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Получение списка доступных индексеров
      */
@@ -168,26 +282,6 @@ class JackettSearcher {
         
         return `${size} ${sizes[i]}`;
     }
-
-    /**
-     * Извлечение качества из названия
-     */
-    extractQuality(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('2160p') || titleLower.includes('4k') || titleLower.includes('uhd')) return '4K';
-        if (titleLower.includes('1080p')) return '1080p';
-        if (titleLower.includes('720p')) return '720p';
-        if (titleLower.includes('480p')) return '480p';
-        
-        if (titleLower.includes('remux')) return 'REMUX';
-        if (titleLower.includes('bdrip') || titleLower.includes('bluray')) return 'BluRay';
-        if (titleLower.includes('webrip') || titleLower.includes('web-dl')) return 'WEB-DL';
-        if (titleLower.includes('hdtv')) return 'HDTV';
-        if (titleLower.includes('cam') || titleLower.includes('ts')) return 'CAM/TS';
-        
-        return 'Unknown';
-    }
 }
 
 module.exports = JackettSearcher;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+/**
+ * Cinemeta - каталог Stremio, работает без ключа.
+ * Русских названий нет, зато список серий приходит вместе с карточкой
+ */
+class CinemetaProvider {
+    constructor() {
+        this.name = 'Cinemeta';
+        this.url = 'https://v3-cinemeta.strem.io';
+        this.timeout = 5000;
+    }
+
+    /**
+     * Карточка фильма или сериала
+     * @param {string} imdbId - IMDb ID
+     * @param {string} type - movie или series
+     * @returns {Promise<Object|null>} Частичные метаданные
+     */
+    async getMeta(imdbId, type) {
+        const response = await axios.get(`${this.url}/meta/${type}/${imdbId}.json`, {
+            timeout: this.timeout
+        });
+
+        const meta = response.data && response.data.meta;
+        if (!meta || !meta.name) return null;
+
+        return {
+            title: meta.name,
+            year: parseInt(meta.year || meta.releaseInfo) || null,
+            episodes: (meta.videos || [])
+                .filter(video => video.season !== undefined && video.episode !== undefined)
+                .map(video => ({
+                    season: video.season,
+                    episode: video.episode,
+                    title: video.name || video.title || null,
+                    released: video.released || null
+                }))
+        };
+    }
+}
+
+module.exports = CinemetaProvider;
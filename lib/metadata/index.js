@@ -0,0 +1,167 @@
+/**
+ * Метаданные фильмов и сериалов по IMDb ID и аниме по Kitsu ID.
+ * Провайдеры опрашиваются по порядку, каждый следующий дополняет недостающие поля
+ */
+
+const CinemetaProvider = require('./cinemeta');
+const TmdbProvider = require('./tmdb');
+const OmdbProvider = require('./omdb');
+const KitsuProvider = require('./kitsu');
+const { CACHE_TTL, getCacheStore } = require('../cache');
+
+class MetadataService {
+    /**
+     * @param {Object} options - Ключи провайдеров: { tmdbApiKey, omdbApiKey }.
+     *                           Без ключей используются TMDB_API_KEY и OMDB_API_KEY из окружения
+     */
+    constructor(options = {}) {
+        const tmdbApiKey = options.tmdbApiKey || process.env.TMDB_API_KEY;
+        const omdbApiKey = options.omdbApiKey || process.env.OMDB_API_KEY;
+
+        this.providers = [
+            new CinemetaProvider(),
+            tmdbApiKey ? new TmdbProvider(tmdbApiKey) : null,
+            omdbApiKey ? new OmdbProvider(omdbApiKey) : null
+        ].filter(Boolean);
+
+        // Kitsu ID понимает только Kitsu
+        this.animeProviders = [new KitsuProvider()];
+    }
+
+    /**
+     * Аниме-ID Stremio: kitsu:123
+     */
+    static isAnimeId(id) {
+        return String(id).startsWith('kitsu:');
+    }
+
+    /**
+     * Метаданные фильма или серии
+     * @param {string} id - IMDb ID или Kitsu ID (kitsu:123)
+     * @param {string} type - movie или series
+     * @param {number|null} season - Номер сезона (у аниме сезонов нет - каждый сезон отдельной карточкой)
+     * @param {number|null} episode - Номер серии
+     * @returns {Promise<Object|null>} { imdbId, kitsuId, anime, title, originalTitle, russianTitle, alternativeTitles, year,
+     *                                  episode: { season, episode, title, released } | null, absoluteEpisode }
+     *                                  или null, если название не найдено
+     */
+    async get(id, type, season = null, episode = null) {
+        const anime = MetadataService.isAnimeId(id);
+        const meta = await this.getMeta(id, type);
+        if (!meta) return null;
+
+        const episodeInfo = season && episode ? await this.getEpisode(meta, season, episode) : null;
+
+        return {
+            imdbId: anime ? null : id,
+            kitsuId: meta.kitsuId || null,
+            anime,
+            title: meta.title,
+            originalTitle: meta.originalTitle || null,
+            russianTitle: meta.russianTitle || null,
+            alternativeTitles: meta.alternativeTitles.filter(title =>
+                ![meta.title, meta.originalTitle, meta.russianTitle].includes(title)
+            ),
+            year: meta.year || null,
+            episode: episodeInfo,
+            // Серии карточки Kitsu и так пронумерованы сквозным номером
+            absoluteEpisode: anime ? episode : (season && episode ? this.getAbsoluteEpisode(meta, season, episode) : null)
+        };
+    }
+
+    /**
+     * Сквозной номер серии по списку серий карточки: так нумеруют аниме и раздачи без сезонов
+     * @returns {number|null} Номер или null, если серии нет в списке
+     */
+    getAbsoluteEpisode(meta, season, episode) {
+        // Нулевой сезон - спецвыпуски, в сквозную нумерацию не входят
+        const numbered = meta.episodes.filter(item => item.season > 0);
+        if (!numbered.some(item => item.season === season && item.episode === episode)) {
+            return null;
+        }
+
+        return numbered.filter(item =>
+            item.season < season || (item.season === season && item.episode <= episode)
+        ).length;
+    }
+
+    /**
+     * Метаданные из кэша или от провайдеров
+     */
+    async getMeta(id, type) {
+        const providers = MetadataService.isAnimeId(id) ? this.animeProviders : this.providers;
+        const cache = getCacheStore();
+        const cacheKey = `metadata:${type}:${id}:${providers.map(provider => provider.name).join(',')}`;
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            return cached.notFound ? null : cached;
+        }
+
+        const meta = { imdbId: id, alternativeTitles: [], episodes: [] };
+
+        for (const provider of providers) {
+            // Всё нужное уже есть - остальных провайдеров не опрашиваем
+            if (meta.title && meta.russianTitle && meta.year) break;
+
+            try {
+                const result = await provider.getMeta(id, type);
+                if (!result) continue;
+
+                Object.entries(result).forEach(([field, value]) => {
+                    if (field === 'alternativeTitles') {
+                        value.forEach(title => {
+                            if (!meta.alternativeTitles.includes(title)) meta.alternativeTitles.push(title);
+                        });
+                    } else if (field === 'episodes') {
+                        if (meta.episodes.length === 0) meta.episodes = value;
+                    } else if (!meta[field] && value) {
+                        meta[field] = value;
+                    }
+                });
+            } catch (error) {
+                console.error(`Ошибка получения метаданных ${provider.name}:`, error.message);
+            }
+        }
+
+        if (!meta.title) {
+            console.error(`Метаданные не найдены: ${id}`);
+            // Ненадолго: провайдеры могли быть временно недоступны
+            await cache.set(cacheKey, { notFound: true }, CACHE_TTL.empty);
+            return null;
+        }
+
+        console.log(`Метаданные ${id}: ${meta.title}${meta.russianTitle ? ` / ${meta.russianTitle}` : ''} (${meta.year || '?'})`);
+        await cache.set(cacheKey, meta, CACHE_TTL.metadata);
+        return meta;
+    }
+
+    /**
+     * Данные серии: из списка серий карточки, иначе от провайдеров с getEpisode
+     */
+    async getEpisode(meta, season, episode) {
+        const cache = getCacheStore();
+        const cacheKey = `episode:${meta.imdbId}:${season}:${episode}`;
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        let info = meta.episodes.find(item => item.season === season && item.episode === episode) || null;
+
+        for (const provider of this.providers) {
+            if (info || !provider.getEpisode) continue;
+
+            try {
+                info = await provider.getEpisode(meta, season, episode);
+            } catch (error) {
+                console.error(`Ошибка получения данных серии ${provider.name}:`, error.message);
+            }
+        }
+
+        // Неудачный запрос не кэшируем - повторим при следующем обращении
+        if (info) await cache.set(cacheKey, info, CACHE_TTL.metadata);
+        return info;
+    }
+}
+
+module.exports = MetadataService;
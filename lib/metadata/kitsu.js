@@ -0,0 +1,87 @@
+const axios = require('axios');
+
+/**
+ * Kitsu - аниме по Kitsu ID (kitsu:123), работает без ключа.
+ * Русское название берется из Shikimori по ID MyAnimeList из сопоставлений Kitsu
+ */
+class KitsuProvider {
+    constructor() {
+        this.name = 'Kitsu';
+        this.url = 'https://kitsu.app/api/edge';
+        this.shikimoriUrl = 'https://shikimori.one/api';
+        this.timeout = 5000;
+    }
+
+    /**
+     * Карточка аниме
+     * @param {string} id - Kitsu ID вида "kitsu:123"
+     * @returns {Promise<Object|null>} Частичные метаданные
+     */
+    async getMeta(id) {
+        const kitsuId = id.replace(/^kitsu:/, '');
+        const response = await axios.get(`${this.url}/anime/${kitsuId}`, {
+            timeout: this.timeout,
+            params: { include: 'mappings' },
+            headers: { Accept: 'application/vnd.api+json' }
+        });
+
+        const anime = response.data && response.data.data;
+        if (!anime || !anime.attributes) return null;
+
+        const attributes = anime.attributes;
+        const titles = attributes.titles || {};
+
+        // Сопоставления с другими каталогами: myanimelist/anime, anidb, thetvdb...
+        const mappings = {};
+        (response.data.included || [])
+            .filter(item => item.type === 'mappings' && item.attributes)
+            .forEach(item => {
+                mappings[item.attributes.externalSite] = item.attributes.externalId;
+            });
+
+        const malId = mappings['myanimelist/anime'] || null;
+
+        let shikimori = null;
+        if (malId) {
+            try {
+                shikimori = await this.getShikimori(malId);
+            } catch (error) {
+                console.error('Ошибка получения названий Shikimori:', error.message);
+            }
+        }
+
+        return {
+            kitsuId,
+            malId,
+            title: titles.en || titles.en_us || attributes.canonicalTitle || titles.en_jp,
+            // Ромадзи - так подписана большая часть релизов аниме
+            originalTitle: titles.en_jp || attributes.canonicalTitle || null,
+            russianTitle: shikimori && shikimori.russian ? shikimori.russian : null,
+            alternativeTitles: [
+                attributes.canonicalTitle,
+                titles.ja_jp,
+                ...(attributes.abbreviatedTitles || []),
+                ...(shikimori ? [shikimori.name, ...(shikimori.english || []), ...(shikimori.synonyms || [])] : [])
+            ].filter(Boolean),
+            year: parseInt(attributes.startDate) || null,
+            episodeCount: attributes.episodeCount || null
+        };
+    }
+
+    /**
+     * Аниме в Shikimori (ID совпадают с MyAnimeList)
+     * @param {string} malId - ID MyAnimeList
+     * @returns {Promise<Object|null>} { name, russian, english, synonyms }
+     */
+    async getShikimori(malId) {
+        const response = await axios.get(`${this.shikimoriUrl}/animes/${malId}`, {
+            timeout: this.timeout,
+            // Shikimori отклоняет запросы без User-Agent
+            headers: { 'User-Agent': 'Stremio-RD-Addon/1.0' }
+        });
+
+        return response.data || null;
+    }
+}
+
+module.exports = KitsuProvider;
@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+/**
+ * OMDb - только с собственным ключом пользователя или сервера
+ */
+class OmdbProvider {
+    /**
+     * @param {string} apiKey - API ключ OMDb
+     */
+    constructor(apiKey) {
+        this.name = 'OMDb';
+        this.apiKey = apiKey;
+        this.url = 'https://www.omdbapi.com/';
+        this.timeout = 5000;
+    }
+
+    /**
+     * Карточка фильма или сериала
+     * @param {string} imdbId - IMDb ID
+     * @param {string} type - movie или series
+     * @returns {Promise<Object|null>} Частичные метаданные
+     */
+    async getMeta(imdbId, type) {
+        const data = await this.request({
+            i: imdbId,
+            type: type === 'series' ? 'series' : 'movie'
+        });
+        if (!data) return null;
+
+        return {
+            title: data.Title,
+            // У сериалов год - диапазон "2008–2013"
+            year: parseInt(data.Year) || null
+        };
+    }
+
+    /**
+     * Данные серии
+     * @returns {Promise<Object|null>} { season, episode, title, released }
+     */
+    async getEpisode(meta, season, episode) {
+        const data = await this.request({
+            i: meta.imdbId,
+            Season: season,
+            Episode: episode
+        });
+        if (!data) return null;
+
+        return {
+            season,
+            episode,
+            title: data.Title || null,
+            released: data.Released && data.Released !== 'N/A' ? data.Released : null
+        };
+    }
+
+    async request(params) {
+        const response = await axios.get(this.url, {
+            timeout: this.timeout,
+            params: {
+                apikey: this.apiKey,
+                ...params
+            }
+        });
+
+        return response.data && response.data.Response === 'True' ? response.data : null;
+    }
+}
+
+module.exports = OmdbProvider;
@@ -0,0 +1,99 @@
+const axios = require('axios');
+
+/**
+ * TMDB - русские и альтернативные названия. Нужен API ключ (v3)
+ */
+class TmdbProvider {
+    /**
+     * @param {string} apiKey - API ключ TMDB
+     */
+    constructor(apiKey) {
+        this.name = 'TMDB';
+        this.apiKey = apiKey;
+        this.url = 'https://api.themoviedb.org/3';
+        this.timeout = 5000;
+    }
+
+    /**
+     * Карточка фильма или сериала по IMDb ID
+     * @param {string} imdbId - IMDb ID
+     * @param {string} type - movie или series
+     * @returns {Promise<Object|null>} Частичные метаданные
+     */
+    async getMeta(imdbId, type) {
+        const found = await this.request(`/find/${imdbId}`, {
+            external_source: 'imdb_id',
+            language: 'ru-RU'
+        });
+
+        const results = type === 'series' ? found.tv_results : found.movie_results;
+        const item = results && results[0];
+        if (!item) return null;
+
+        const kind = type === 'series' ? 'tv' : 'movie';
+        const date = item.release_date || item.first_air_date || '';
+        const originalTitle = item.original_title || item.original_name || null;
+        const russianTitle = item.title || item.name || null;
+
+        // Английское название для англоязычных индексаторов: оригинальное может быть, например, на корейском
+        let englishTitle = null;
+        let alternativeTitles = [];
+        try {
+            const [details, alternatives] = await Promise.all([
+                this.request(`/${kind}/${item.id}`, { language: 'en-US' }),
+                this.request(`/${kind}/${item.id}/alternative_titles`)
+            ]);
+
+            englishTitle = details.title || details.name || null;
+            alternativeTitles = (alternatives.titles || alternatives.results || [])
+                .filter(title => ['RU', 'US', 'GB', 'UA', 'BY', 'KZ'].includes(title.iso_3166_1))
+                .map(title => title.title);
+        } catch (error) {
+            console.error('Ошибка получения названий TMDB:', error.message);
+        }
+
+        return {
+            tmdbId: item.id,
+            title: englishTitle || originalTitle,
+            originalTitle,
+            russianTitle: russianTitle !== originalTitle ? russianTitle : null,
+            alternativeTitles,
+            year: parseInt(date) || null
+        };
+    }
+
+    /**
+     * Данные серии
+     * @param {Object} meta - Метаданные с tmdbId
+     * @param {number} season - Номер сезона
+     * @param {number} episode - Номер серии
+     * @returns {Promise<Object|null>} { season, episode, title, released }
+     */
+    async getEpisode(meta, season, episode) {
+        if (!meta.tmdbId) return null;
+
+        const data = await this.request(`/tv/${meta.tmdbId}/season/${season}/episode/${episode}`, {
+            language: 'ru-RU'
+        });
+
+        return {
+            season,
+            episode,
+            title: data.name || null,
+            released: data.air_date || null
+        };
+    }
+
+    async request(path, params = {}) {
+        const response = await axios.get(`${this.url}${path}`, {
+            timeout: this.timeout,
+            params: {
+                api_key: this.apiKey,
+                ...params
+            }
+        });
+        return response.data;
+    }
+}
+
+module.exports = TmdbProvider;
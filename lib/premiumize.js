@@ -0,0 +1,174 @@
+const axios = require('axios');
+const DebridClient = require('./debridClient');
+const TorrentUtils = require('./utils');
+
+const FAILED_STATUSES = ['error', 'timeout', 'deleted', 'banned'];
+const FINISHED_STATUSES = ['finished', 'seeding'];
+
+class PremiumizeClient extends DebridClient {
+    /**
+     * @param {string} apiKey - API ключ Premiumize
+     * @param {Object} options - baseURL для подмены API (например, локальный mock-сервер)
+     */
+    constructor(apiKey, options = {}) {
+        super(apiKey, {
+            provider: 'premiumize',
+            name: 'Premiumize',
+            shortName: 'PM',
+            batchSize: 100,
+            baseURL: options.baseURL || 'https://www.premiumize.me/api'
+        });
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            params: {
+                apikey: apiKey
+            }
+        });
+    }
+
+    /**
+     * Запрос к API Premiumize с проверкой статуса ответа
+     * @param {string} method - HTTP метод
+     * @param {string} url - Путь метода API
+     * @param {Object} params - Параметры запроса (для POST - поля формы)
+     * @returns {Promise<Object>} Тело ответа
+     */
+    async request(method, url, params = {}) {
+        const response = method === 'post'
+            ? await this.client.post(url, new URLSearchParams(params).toString(), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            })
+            : await this.client.get(url, { params });
+
+        if (!response.data || response.data.status !== 'success') {
+            throw new Error(`Premiumize: ${(response.data && response.data.message) || 'неизвестная ошибка'}`);
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Проверка доступности нескольких торрентов в кэше Premiumize одним запросом.
+     * API кэша возвращает только самый большой файл каждого торрента, ответы идут в порядке запроса.
+     * Номер 1 условный: при получении ссылки файл находится по имени и размеру.
+     * Список файлов неполный (partial) - серию из сезона выбирают при получении ссылки
+     * @param {Array<string>} infoHashes - Info hash торрентов
+     * @returns {Promise<Object>} Информация о доступности по info hash
+     */
+    async checkAvailabilityChunk(infoHashes) {
+        const data = await this.request('get', '/cache/check', { items: infoHashes });
+        const availability = {};
+
+        infoHashes.forEach((hash, i) => {
+            if (!data.response || !data.response[i]) return;
+
+            const filename = data.filename && data.filename[i];
+            availability[hash] = {
+                available: true,
+                partial: true,
+                files: filename ? [{
+                    id: 1,
+                    path: filename,
+                    size: parseInt(data.filesize[i]) || 0
+                }] : []
+            };
+        });
+
+        return availability;
+    }
+
+    /**
+     * Добавление магнет-ссылки в облако Premiumize
+     * @param {string} magnet - Магнет-ссылка
+     * @returns {Promise<Object>} Информация о созданной загрузке
+     */
+    async addMagnet(magnet) {
+        try {
+            return await this.request('post', '/transfer/create', { src: magnet });
+        } catch (error) {
+            console.error('Ошибка добавления магнета в Premiumize:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Получение списка загрузок аккаунта
+     * @returns {Promise<Array>} Список загрузок
+     */
+    async getActiveTorrents() {
+        try {
+            const data = await this.request('get', '/transfer/list');
+            return data.transfers || [];
+        } catch (error) {
+            console.error('Ошибка получения списка загрузок Premiumize:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Получение прямой ссылки для стриминга файла из торрента
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID файла из проверки кэша или null для самого большого видео
+     * @param {Object|null} episode - Серия { season, episode, absoluteEpisode }, если файл из проверки кэша неизвестен
+     * @returns {Promise<Object>} Статус загрузки { status, progress, failed, url }
+     */
+    async getStreamLink(infoHash, fileId = null, episode = null) {
+        const magnet = TorrentUtils.createMagnetLink(infoHash);
+        const { available } = await this.checkAvailability(infoHash);
+
+        if (!available) {
+            const transfers = await this.getActiveTorrents();
+            let transfer = transfers.find(item =>
+                item.src && item.src.toUpperCase().includes(infoHash.toUpperCase())
+            );
+
+            if (!transfer) {
+                await this.addMagnet(magnet);
+                return { status: 'queued', progress: 0, failed: false, url: null };
+            }
+
+            if (!FINISHED_STATUSES.includes(transfer.status)) {
+                return {
+                    status: transfer.status,
+                    progress: Math.round((transfer.progress || 0) * 100),
+                    failed: FAILED_STATUSES.includes(transfer.status),
+                    url: null
+                };
+            }
+        }
+
+        // Готовый торрент отдается сразу прямыми ссылками на все файлы
+        const data = await this.request('post', '/transfer/directdl', { src: magnet });
+        const files = (data.content || []).map((file, i) => ({
+            id: i + 1,
+            path: file.path,
+            size: parseInt(file.size) || 0,
+            link: file.link
+        }));
+
+        const targetId = await this.resolveFileId(infoHash, fileId, files, episode);
+        if (!targetId) {
+            console.error(`Видео файл не найден в торренте ${infoHash}`);
+            return { status: 'error', progress: 0, failed: true, url: null };
+        }
+
+        return { status: 'finished', progress: 100, failed: false, url: files[targetId - 1].link };
+    }
+
+    /**
+     * Получение информации об аккаунте
+     * @returns {Promise<Object>} Информация об аккаунте
+     */
+    async getUserInfo() {
+        try {
+            return await this.request('get', '/account/info');
+        } catch (error) {
+            console.error('Ошибка получения информации об аккаунте Premiumize:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = PremiumizeClient;
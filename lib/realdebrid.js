@@ -1,9 +1,23 @@
 const axios = require('axios');
+const DebridClient = require('./debridClient');
+const FileSelector = require('./fileSelector');
+const TorrentUtils = require('./utils');
 
-class RealDebridClient {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
-        this.baseURL = 'https://api.real-debrid.com/rest/1.0';
+const FAILED_STATUSES = ['magnet_error', 'error', 'virus', 'dead'];
+
+class RealDebridClient extends DebridClient {
+    /**
+     * @param {string} apiKey - API ключ Real-Debrid
+     * @param {Object} options - baseURL для подмены API (например, локальный mock-сервер)
+     */
+    constructor(apiKey, options = {}) {
+        super(apiKey, {
+            provider: 'realdebrid',
+            name: 'Real-Debrid',
+            shortName: 'RD',
+            batchSize: 50, // Хэши передаются в пути URL
+            baseURL: options.baseURL || 'https://api.real-debrid.com/rest/1.0'
+        });
         this.client = axios.create({
             baseURL: this.baseURL,
             headers: {
@@ -13,37 +27,33 @@ class RealDebridClient {
     }
 
     /**
-     * Проверка доступности торрента в кэше Real-Debrid
-     * @param {string} infoHash - Info hash торрента
-     * @returns {Promise<Object>} Информация о доступности
+     * Проверка доступности нескольких торрентов в кэше Real-Debrid одним запросом
+     * @param {Array<string>} infoHashes - Info hash торрентов
+     * @returns {Promise<Object>} Информация о доступности по info hash
      */
-    async checkAvailability(infoHash) {
-        try {
-            const response = await this.client.get('/torrents/instantAvailability/' + infoHash);
-            
-            if (response.data && response.data[infoHash]) {
-                const variants = response.data[infoHash];
-                
-                // Берем первый доступный вариант
-                if (variants.rd && variants.rd.length > 0) {
-                    const files = variants.rd[0];
-                    
-                    return {
-                        available: true,
-                        files: Object.values(files).map(file => ({
-                            id: file.filename,
-                            path: file.filename,
-                            size: file.filesize
-                        }))
-                    };
-                }
+    async checkAvailabilityChunk(infoHashes) {
+        const response = await this.client.get('/torrents/instantAvailability/' + infoHashes.join('/'));
+        const availability = {};
+
+        Object.entries(response.data || {}).forEach(([hash, variants]) => {
+            // Берем первый доступный вариант
+            if (variants && variants.rd && variants.rd.length > 0) {
+                const files = variants.rd[0];
+
+                // Ключи варианта - ID файлов Real-Debrid, они нумеруют файлы торрента с 1
+                availability[hash.toUpperCase()] = {
+                    available: true,
+                    files: Object.entries(files).map(([id, file]) => ({
+                        id: parseInt(id),
+                        index: parseInt(id) - 1,
+                        path: file.filename,
+                        size: file.filesize
+                    }))
+                };
             }
-            
-            return { available: false };
-        } catch (error) {
-            console.error('Ошибка проверки доступности:', error.message);
-            return { available: false };
-        }
+        });
+
+        return availability;
     }
 
     /**
@@ -129,6 +139,108 @@ class RealDebridClient {
         }
     }
 
+    /**
+     * Получение прямой ссылки для стриминга файла из торрента.
+     * Торрент, которого нет в аккаунте, добавляется; незакэшированный ставится в очередь загрузки.
+     * В добавленном торренте выбираются все основные видео: следующие серии сезона берутся из него же
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID файла Real-Debrid (1-based) или null для самого большого видео
+     * @returns {Promise<Object>} Статус загрузки { status, progress, failed, url }, url - только для загруженного торрента
+     */
+    async getStreamLink(infoHash, fileId = null) {
+        // Оба ожидания статуса укладываются в одно время
+        const deadline = Date.now() + this.pollTimeout;
+        let torrentId = await this.findTorrentId(infoHash, fileId);
+
+        if (torrentId) {
+            console.log(`Торрент ${infoHash} уже есть в аккаунте: ${torrentId}`);
+        } else {
+            const magnet = TorrentUtils.createMagnetLink(infoHash);
+            ({ id: torrentId } = await this.addMagnet(magnet));
+        }
+
+        // Ждем, пока Real-Debrid получит список файлов из магнета
+        let info = await this.waitForStatus(torrentId, ['magnet_conversion'], deadline);
+
+        const files = (info.files || []).map(file => ({ id: file.id, path: file.path, size: file.bytes, selected: file.selected }));
+        const targetId = this.pickFileId(files, fileId);
+
+        if (info.status === 'waiting_files_selection') {
+            if (!targetId) {
+                console.error(`Видео файл не найден в торренте ${infoHash}`);
+                return { status: 'error', progress: 0, failed: true, url: null };
+            }
+
+            const videoIds = files
+                .filter(file => TorrentUtils.isVideoFile(file.path) && !FileSelector.isExtra(file.path))
+                .map(file => file.id);
+            await this.selectFiles(torrentId, [...new Set([targetId, ...videoIds])].join(','));
+            info = await this.waitForStatus(torrentId, ['magnet_conversion', 'waiting_files_selection', 'queued'], deadline);
+        }
+
+        if (info.status !== 'downloaded' || !info.links || info.links.length === 0) {
+            console.log(`Торрент ${infoHash} ещё не загружен (статус: ${info.status}, ${info.progress || 0}%)`);
+            return {
+                status: info.status,
+                progress: info.progress || 0,
+                failed: FAILED_STATUSES.includes(info.status),
+                url: null
+            };
+        }
+
+        // Ссылки идут в порядке выбранных файлов
+        const selected = (info.files || []).filter(file => file.selected);
+        const linkIndex = targetId ? selected.findIndex(file => file.id === targetId) : -1;
+        const url = await this.unrestrictLink(info.links[Math.max(linkIndex, 0)]);
+
+        return { status: info.status, progress: 100, failed: false, url };
+    }
+
+    /**
+     * Поиск уже добавленного в аккаунт торрента, чтобы не добавлять его повторно.
+     * Файлы в Real-Debrid выбираются только один раз, поэтому подходит торрент, в котором
+     * нужный файл уже выбран (при добавлении выбираются все основные видео) или выбора еще не было
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID нужного файла
+     * @returns {Promise<string|null>} ID торрента или null
+     */
+    async findTorrentId(infoHash, fileId = null) {
+        const torrents = await this.getActiveTorrents();
+        const candidates = torrents.filter(torrent =>
+            torrent.hash &&
+            torrent.hash.toUpperCase() === infoHash.toUpperCase() &&
+            !FAILED_STATUSES.includes(torrent.status)
+        );
+
+        for (const torrent of candidates) {
+            if (!fileId || torrent.status === 'waiting_files_selection') {
+                return torrent.id;
+            }
+
+            const info = await this.getTorrentInfo(torrent.id);
+            if ((info.files || []).some(file => file.id === fileId && file.selected)) {
+                return torrent.id;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Ожидание выхода торрента из промежуточных статусов
+     * @param {string} torrentId - ID торрента
+     * @param {Array<string>} pendingStatuses - Статусы, в которых нужно продолжать ждать
+     * @param {number} deadline - Время (мс), после которого не ждем
+     * @returns {Promise<Object>} Последняя полученная информация о торренте
+     */
+    async waitForStatus(torrentId, pendingStatuses, deadline) {
+        return this.poll(
+            () => this.getTorrentInfo(torrentId),
+            info => pendingStatuses.includes(info.status),
+            deadline
+        );
+    }
+
     /**
      * Получение списка активных торрентов
      * @returns {Promise<Array>} Список торрентов
@@ -0,0 +1,326 @@
+/**
+ * Разбор названий релизов
+ */
+
+// Совпадение только целым токеном: "ts" в "Tsunami" или "hdr" в "HDRip" не считаются
+const token = pattern => new RegExp(`(?<![a-zа-яё0-9])(?:${pattern})(?![a-zа-яё0-9])`, 'i');
+
+// Порядок важен: первое совпадение побеждает
+const RESOLUTIONS = [
+    ['4K', token('2160p|4k|uhd|3840x\\d{3,4}')],
+    ['1440p', token('1440p|2560x\\d{3,4}')],
+    ['1080p', token('1080[pi]|1920x\\d{3,4}')],
+    ['720p', token('720p|1280x\\d{3,4}')],
+    ['576p', token('576[pi]')],
+    ['480p', token('480p|sd')]
+];
+
+const SOURCES = [
+    ['REMUX', token('(?:bd|uhd|bluray|blu-ray)?[\\s.-]?remux')],
+    ['BluRay', token('blu-?ray|bdrip|brrip|bd-?rip|bd|bd50|bd25|hddvd')],
+    ['WEBRip', token('web-?rip|web-?dlrip')],
+    ['WEB-DL', token('web-?dl|web')],
+    ['HDRip', token('hdrip')],
+    ['HDTV', token('hdtv|hdtvrip')],
+    ['TVRip', token('tvrip|satrip|dvb|iptvrip')],
+    ['DVD', token('dvd-?rip|dvd|dvd5|dvd9|dvdscr')],
+    ['CAM', token('cam|camrip|hdcam|cam-?rip')],
+    ['TS', token('ts|hdts|telesync|tc|telecine|hdtc')]
+];
+
+const CODECS = [
+    ['HEVC', token('hevc|[hx][\\s.]?265')],
+    ['H.264', token('avc|[hx][\\s.]?264')],
+    ['AV1', token('av1')],
+    ['VC-1', token('vc-?1')],
+    ['MPEG-2', token('mpeg-?2')],
+    ['XviD', token('xvid|divx')]
+];
+
+// Формат звука может быть слитно с каналами: DDP5.1, AAC2.0
+const CH = '(?:[1-7][\\s.][01])?';
+
+const AUDIO = [
+    ['Atmos', token('atmos')],
+    ['TrueHD', token(`(?:truehd|true-hd)${CH}`)],
+    ['DTS-HD', token(`(?:dts-?hd(?:[\\s.-]?ma)?|dts-?ma|dts-?x)${CH}`)],
+    ['DTS', token(`dts${CH}`)],
+    ['DD+', token(`(?:dd\\+|ddp|eac-?3|e-ac-?3)${CH}`)],
+    ['AC3', token(`(?:ac-?3|dd|dolby digital)${CH}`)],
+    ['FLAC', token(`flac${CH}`)],
+    ['AAC', token(`aac${CH}`)],
+    ['MP3', token('mp3')],
+    ['Opus', token(`opus${CH}`)]
+];
+
+const HDR = [
+    ['HDR10+', token('hdr10\\+|hdr10plus')],
+    ['HDR10', token('hdr10')],
+    ['HDR', token('hdr')]
+];
+
+const DOLBY_VISION = token('dolby[\\s.]?vision|dovi|dv');
+const CHANNELS = /(?<![\d.])([1-7][\s.][01])(?![\d.])/;
+const BIT_DEPTH = token('(8|10|12)[\\s.-]?bits?|hi10p?');
+const CONTAINER = /(?:^|[\s.[(])(mkv|mp4|avi|m2ts|m4v|wmv)(?:$|[\s.\])])/i;
+const YEAR = /(?<![\d])((?:19|20)\d{2})(?![\dpi])/g;
+
+// Типы перевода, от лучшего к худшему
+const VOICEOVERS = [
+    ['Дубляж', token('дубляж|дублированный|дублирование|dub|dubbed')],
+    ['MVO', token('mvo|многоголосый|многоголосая|многоголосое')],
+    ['DVO', token('dvo|двухголосый|двухголосая|двухголосое')],
+    ['AVO', token('avo|авторский|авторская|авторское')],
+    ['VO', token('vo|одноголосый|одноголосая|одноголосое|любительский|любительская')]
+];
+
+// Однобуквенные обозначения перевода в тегах после "|": "| D, P, A | Лицензия"
+const VOICEOVER_TAGS = {
+    'D': 'Дубляж',
+    'P': 'MVO',
+    'P1': 'VO',
+    'P2': 'DVO',
+    'L': 'VO',
+    'L1': 'VO',
+    'L2': 'DVO',
+    'A': 'AVO'
+};
+
+const STUDIOS = [
+    ['LostFilm', token('lostfilm|lost film|лостфильм')],
+    ['NewStudio', token('newstudio|new studio')],
+    ['HDRezka', token('hdrezka(?: studio)?|rezka')],
+    ['Кубик в Кубе', token('кубик в кубе|kubik v kube|kubikvkube|kvk')],
+    ['AlexFilm', token('alexfilm|alex film')],
+    ['Jaskier', token('jaskier')],
+    ['TVShows', token('tvshows|tv shows')],
+    ['BaibaKo', token('baibako')],
+    ['Amedia', token('amedia')],
+    ['ColdFilm', token('coldfilm')],
+    ['IdeaFilm', token('ideafilm')],
+    ['LE-Production', token('le-production')],
+    ['Пифагор', token('пифагор|pifagor')],
+    ['Red Head Sound', token('red head sound|rhs')],
+    ['NovaMedia', token('novamedia|nova media')],
+    ['Кравец', token('кравец|kravec')],
+    ['Гоблин', token('гоблин|пучков|goblin')],
+    ['Сыендук', token('сыендук|syenduk')],
+    ['Гаврилов', token('гаврилов|gavrilov')],
+    ['AniLibria', token('anilibria|анилибрия')],
+    ['AniDUB', token('anidub')],
+    ['SHIZA Project', token('shiza(?: project)?')]
+];
+
+const SUBTITLES = token('subs?|субтитры|сабы|rus ?sub|sub ?rus');
+const ORIGINAL = token('original|оригинал|оригинальная дорожка|eng|англ');
+
+// Хвост "-GROUP" не считается группой, если это часть обозначения качества
+const NOT_GROUPS = ['dl', 'rip', 'dlrip', 'hd', 'ma', 'x', 'ray', 'sbs', 'ou', 'ac3'];
+
+// Не больше серий в одном диапазоне, чтобы "1-2024" не раздувал массив
+const MAX_RANGE = 500;
+
+class ReleaseParser {
+    /**
+     * Разбор названия релиза
+     * @param {string} title - Название раздачи
+     * @returns {Object} { resolution, source, codec, hdr, dolbyVision, audio, channels,
+     *                     bitDepth, container, group, year, seasons, episodes,
+     *                     voiceovers, studios, subtitles, originalAudio }
+     */
+    static parse(title) {
+        const text = String(title || '');
+        // Точки и подчеркивания в сценовых названиях - разделители слов (кроме "5.1")
+        const normalized = text.replace(/(?<!\d)[._]|[._](?!\d)/g, ' ');
+
+        const bitDepth = normalized.match(BIT_DEPTH);
+        const container = text.match(CONTAINER);
+        const channels = normalized.match(CHANNELS);
+        const { seasons, episodes } = this.parseEpisodes(normalized);
+        const translation = this.parseTranslation(text);
+
+        return {
+            resolution: this.findFirst(RESOLUTIONS, normalized),
+            source: this.findFirst(SOURCES, normalized),
+            codec: this.findFirst(CODECS, normalized),
+            hdr: this.findFirst(HDR, normalized),
+            dolbyVision: DOLBY_VISION.test(normalized),
+            audio: this.findFirst(AUDIO, normalized),
+            channels: channels ? channels[1].replace(' ', '.') : null,
+            bitDepth: bitDepth ? (/hi10/i.test(bitDepth[0]) ? 10 : parseInt(bitDepth[1])) : null,
+            container: container ? container[1].toUpperCase() : null,
+            group: this.parseGroup(text),
+            year: this.parseYear(text),
+            seasons,
+            episodes,
+            ...translation
+        };
+    }
+
+    /**
+     * Перевод: типы озвучки, студии, наличие субтитров и оригинальной дорожки
+     * @param {string} text - Название раздачи
+     * @returns {Object} { voiceovers: [типы], studios: [названия], subtitles, originalAudio }
+     */
+    static parseTranslation(text) {
+        const voiceovers = VOICEOVERS
+            .filter(([, pattern]) => pattern.test(text))
+            .map(([type]) => type);
+
+        // Теги трекеров: всё после первого "|", разделенное запятыми
+        const separator = text.indexOf('|');
+        if (separator !== -1) {
+            text.slice(separator + 1)
+                .split(/[|,]/)
+                .map(tag => tag.trim().toUpperCase())
+                .forEach(tag => {
+                    const type = VOICEOVER_TAGS[tag];
+                    if (type && !voiceovers.includes(type)) voiceovers.push(type);
+                });
+        }
+
+        voiceovers.sort((a, b) =>
+            VOICEOVERS.findIndex(([type]) => type === a) - VOICEOVERS.findIndex(([type]) => type === b)
+        );
+
+        return {
+            voiceovers,
+            studios: STUDIOS.filter(([, pattern]) => pattern.test(text)).map(([name]) => name),
+            subtitles: SUBTITLES.test(text),
+            originalAudio: ORIGINAL.test(text)
+        };
+    }
+
+    /**
+     * Краткое описание перевода для карточки потока
+     * @param {string} title - Название раздачи
+     * @returns {string|null} Например "Дубляж, LostFilm, Оригинал, Субтитры" или null
+     */
+    static getTranslation(title) {
+        const { voiceovers, studios, subtitles, originalAudio } = this.parseTranslation(String(title || ''));
+
+        const parts = [...voiceovers, ...studios];
+        if (originalAudio) parts.push('Оригинал');
+        if (subtitles) parts.push('Субтитры');
+
+        return parts.length ? parts.join(', ') : null;
+    }
+
+    /**
+     * Краткое качество для результата поиска: разрешение, а без него - источник
+     * @param {string} title - Название раздачи
+     * @returns {string} Например "1080p", "CAM" или "Unknown"
+     */
+    static getQuality(title) {
+        const release = this.parse(title);
+        return release.resolution || release.source || 'Unknown';
+    }
+
+    /**
+     * Первое совпавшее значение из списка [значение, регулярное выражение]
+     */
+    static findFirst(rules, text) {
+        const rule = rules.find(([, pattern]) => pattern.test(text));
+        return rule ? rule[0] : null;
+    }
+
+    /**
+     * Год релиза: в скобках (в том числе "[2008-2013, США, драма]" RuTracker), а если таких нет - последний найденный
+     * ("Blade Runner 2049 (2017)", "2001 A Space Odyssey 1968")
+     */
+    static parseYear(text) {
+        const bracketed = text.match(/[([]((?:19|20)\d{2})(?:[-–]\d{2,4})?[)\],]/);
+        if (bracketed) return parseInt(bracketed[1]);
+
+        const years = [...text.matchAll(YEAR)].map(match => parseInt(match[1]));
+        return years.length ? years[years.length - 1] : null;
+    }
+
+    /**
+     * Группа релиза: "[Group] Title" (аниме) или "Title-GROUP" (сцена)
+     */
+    static parseGroup(text) {
+        const leading = text.match(/^\s*\[([^\]]+)\]/);
+        if (leading && !/^\d+$/.test(leading[1])) return leading[1].trim();
+
+        const trailing = text
+            .replace(/\.(mkv|mp4|avi|m2ts|m4v|wmv|torrent)$/i, '')
+            .match(/-([A-Za-z0-9]{2,})(?:\[[^\]]*\])?\s*$/);
+        if (trailing && !NOT_GROUPS.includes(trailing[1].toLowerCase()) && !/^\d+$/.test(trailing[1])) {
+            return trailing[1];
+        }
+
+        return null;
+    }
+
+    /**
+     * Сезоны и серии, в том числе диапазоны:
+     * S01E01-E03, S01-S03, 1x01, "Сезон: 1-3", "2 сезон", "Серии: 1-8 из 10", "[01-08 из 08]", "Season 1"
+     * @param {string} text - Название
+     * @returns {Object} { seasons: [номера], episodes: [номера] }
+     */
+    static parseEpisodes(text) {
+        const seasons = new Set();
+        const episodes = new Set();
+
+        const addRange = (target, from, to) => {
+            const start = parseInt(from);
+            const end = to ? parseInt(to) : start;
+            if (isNaN(start)) return;
+            if (end < start || end - start > MAX_RANGE) {
+                target.add(start);
+                return;
+            }
+            for (let n = start; n <= end; n++) target.add(n);
+        };
+
+        // S01E01, S01E01-E03, S01E01-03, S01E01E02, S01-S03, S01-03
+        const sxe = /(?<![a-z0-9])s(\d{1,2})(?:\s*-\s*s?(\d{1,2}))?(?:\s?e(\d{1,4})(?:\s*-\s*e?(\d{1,4})|e(\d{1,4}))?)?(?![a-z0-9])/gi;
+        for (const match of text.matchAll(sxe)) {
+            if (match[3]) {
+                addRange(seasons, match[1]);
+                addRange(episodes, match[3], match[4] || match[5]);
+            } else {
+                addRange(seasons, match[1], match[2]);
+            }
+        }
+
+        // 1x01, 1x01-03
+        for (const match of text.matchAll(/(?<![\d])(\d{1,2})x(\d{1,3})(?:-(\d{1,3}))?(?![\dp])/gi)) {
+            addRange(seasons, match[1]);
+            addRange(episodes, match[2], match[3]);
+        }
+
+        // "Сезон: 1-3", "Season 1", "Seasons 1-3" (но не "2 сезон 5 серия")
+        for (const match of text.matchAll(/(?:сезоны?|seasons?)[\s:]*(\d{1,2})(?:\s*[-–]\s*(\d{1,2}))?(?![\d\s-]*(?:сери|эпизод|episode))/gi)) {
+            addRange(seasons, match[1], match[2]);
+        }
+
+        // "2 сезон", "1-3 сезоны"
+        for (const match of text.matchAll(/(?<![\d])(\d{1,2})(?:\s*[-–]\s*(\d{1,2}))?\s*(?:сезон|season)/gi)) {
+            addRange(seasons, match[1], match[2]);
+        }
+
+        // "Серии: 1-8 из 10", "Серия 5", "Episodes 1-10"
+        for (const match of text.matchAll(/(?:серии|серия|эпизоды?|episodes?)[\s:]*(\d{1,4})(?:\s*[-–]\s*(\d{1,4}))?/gi)) {
+            addRange(episodes, match[1], match[2]);
+        }
+
+        // "[01-08 из 08]", "[05 из 10]" - серии без слова "серии" (но не "Сезон: 1-3 из 5")
+        for (const match of text.matchAll(/(?<!\d|\d\s*[-–]\s*|(?:сезоны?|seasons?)[\s:]*)(\d{1,4})(?:\s*[-–]\s*(\d{1,4}))?\s+из\s+\d{1,4}/gi)) {
+            addRange(episodes, match[1], match[2]);
+        }
+
+        // "1-8 серии", "5 серия"
+        for (const match of text.matchAll(/(?<![\d])(\d{1,4})(?:\s*[-–]\s*(\d{1,4}))?\s*(?:серии|серия|серий|эпизод)/gi)) {
+            addRange(episodes, match[1], match[2]);
+        }
+
+        return {
+            seasons: [...seasons].sort((a, b) => a - b),
+            episodes: [...episodes].sort((a, b) => a - b)
+        };
+    }
+}
+
+module.exports = ReleaseParser;
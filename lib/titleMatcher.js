@@ -0,0 +1,172 @@
+/**
+ * Сопоставление раздач с запрошенным фильмом или серией: название, год, сезон и серия
+ */
+
+const ReleaseParser = require('./releaseParser');
+
+// Латинские буквы, которые выглядят как кириллические, и наоборот
+const LATIN_TO_CYRILLIC = { a: 'а', b: 'в', c: 'с', e: 'е', h: 'н', k: 'к', m: 'м', o: 'о', p: 'р', t: 'т', x: 'х', y: 'у' };
+const CYRILLIC_TO_LATIN = { 'а': 'a', 'с': 'c', 'е': 'e', 'к': 'k', 'м': 'm', 'о': 'o', 'р': 'p', 'т': 't', 'х': 'x', 'у': 'y', 'в': 'b', 'н': 'h' };
+
+// Год релиза фильма на трекере может отличаться на год (премьера на фестивале, релиз в прокате)
+const YEAR_TOLERANCE = 1;
+
+class TitleMatcher {
+    /**
+     * @param {Object} params - Параметры поиска: title, russianTitle, originalTitle, alternativeTitles,
+     *                          type, year, season, episode, absoluteEpisode
+     */
+    constructor(params) {
+        this.variants = TitleMatcher.getVariants(params)
+            .map(title => TitleMatcher.normalize(title))
+            .filter(Boolean)
+            .filter((title, i, all) => all.indexOf(title) === i);
+
+        this.type = params.type;
+        this.year = parseInt(params.year) || null;
+        this.season = params.season || null;
+        this.episode = params.episode || null;
+        this.absoluteEpisode = params.absoluteEpisode || null;
+    }
+
+    /**
+     * Нормализация названия: нижний регистр, ё -> е, без апострофов и знаков препинания,
+     * латиница внутри русских слов (и наоборот) заменена на буквы основного алфавита слова
+     * @param {string} title - Название
+     * @returns {string} Слова через один пробел
+     */
+    static normalize(title) {
+        return String(title || '')
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .replace(/&/g, ' and ')
+            .replace(/['’`]/g, '')
+            .replace(/[^a-zа-я0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .map(word => TitleMatcher.unifyScript(word))
+            .join(' ');
+    }
+
+    /**
+     * Приведение слова со смешанными алфавитами ("Мaтрица" с латинской "a") к одному алфавиту
+     * @param {string} word - Слово в нижнем регистре
+     * @returns {string} Слово
+     */
+    static unifyScript(word) {
+        const cyrillic = (word.match(/[а-я]/g) || []).length;
+        const latin = (word.match(/[a-z]/g) || []).length;
+        if (!cyrillic || !latin) return word;
+
+        return cyrillic >= latin
+            ? word.replace(/[a-z]/g, char => LATIN_TO_CYRILLIC[char] || char)
+            : word.replace(/[а-я]/g, char => CYRILLIC_TO_LATIN[char] || char);
+    }
+
+    /**
+     * Все известные названия: русское, основное, оригинальное и альтернативные
+     * @param {Object} params - Параметры поиска
+     * @returns {Array<string>} Названия без повторов
+     */
+    static getVariants(params) {
+        return [
+            params.russianTitle,
+            params.title,
+            params.originalTitle,
+            ...(params.alternativeTitles || [])
+        ].filter(Boolean).filter((title, i, all) => all.indexOf(title) === i);
+    }
+
+    /**
+     * Названия для поисковых запросов: русское (под ним раздачи на русских трекерах) и основное/оригинальное.
+     * Альтернативные названия только для сопоставления - иначе запросов слишком много
+     * @param {Object} params - Параметры поиска
+     * @returns {Array<string>} Названия без повторов
+     */
+    static getSearchTitles(params) {
+        const titles = [params.russianTitle, params.title, params.originalTitle].filter(Boolean);
+        const normalized = titles.map(title => TitleMatcher.normalize(title));
+
+        return titles.filter((title, i) => normalized.indexOf(normalized[i]) === i);
+    }
+
+    /**
+     * Есть ли в названии раздачи одно из названий целыми словами
+     * @param {string} releaseTitle - Название раздачи
+     * @returns {boolean} True если раздача относится к фильму или сериалу
+     */
+    matches(releaseTitle) {
+        if (this.variants.length === 0) return true;
+
+        const normalized = ` ${TitleMatcher.normalize(releaseTitle)} `;
+        return this.variants.some(variant => normalized.includes(` ${variant} `));
+    }
+
+    /**
+     * Проверка, что раздача относится к запрошенному фильму или серии
+     * @param {Object} torrent - Торрент
+     * @returns {string|null} Причина несовпадения или null
+     */
+    check(torrent) {
+        if (!this.matches(torrent.title)) {
+            return 'название';
+        }
+
+        const release = ReleaseParser.parse(torrent.title);
+
+        if (this.year && release.year) {
+            // Год сериала - год первого сезона, раздачи поздних сезонов подписаны своим годом
+            const tooEarly = release.year < this.year - YEAR_TOLERANCE;
+            const tooLate = this.type !== 'series' && release.year > this.year + YEAR_TOLERANCE;
+            if (tooEarly || tooLate) {
+                return `год ${release.year}`;
+            }
+        }
+
+        // "Эпизод 4" или "Серия 2" бывает в названии фильма - сериал выдают сезон (в том числе S01E01) или диапазон серий
+        if (this.type === 'movie' && (release.seasons.length > 0 || release.episodes.length > 1)) {
+            return 'сериал';
+        }
+
+        if (this.type === 'series' && this.episode) {
+            // Раздача без номеров сезона - возможно, весь сериал; проверяется по файлам.
+            // У аниме сезона в запросе нет - каждый сезон отдельной карточкой Kitsu
+            if (this.season && release.seasons.length > 0 && !release.seasons.includes(this.season)) {
+                return `сезон ${release.seasons.join(',')}`;
+            }
+
+            // Неполный сезон: "Серии: 1-8 из 10" не содержит 9-ю серию.
+            // Без номера сезона серии могут идти сквозной нумерацией
+            const episodes = release.episodes;
+            const absolute = release.seasons.length === 0 && episodes.includes(this.absoluteEpisode);
+            if (episodes.length > 0 && !episodes.includes(this.episode) && !absolute) {
+                return `серии ${episodes[0]}-${episodes[episodes.length - 1]}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Отбор раздач, относящихся к запрошенному фильму или серии
+     * @param {Array} torrents - Торренты
+     * @returns {Array} Подходящие торренты
+     */
+    filter(torrents) {
+        const result = torrents.filter(torrent => {
+            const reason = this.check(torrent);
+            if (reason) {
+                console.log(`Не подходит (${reason}): ${torrent.title}`);
+            }
+            return !reason;
+        });
+
+        if (result.length < torrents.length) {
+            console.log(`Проверка соответствия: исключено ${torrents.length - result.length} из ${torrents.length}`);
+        }
+
+        return result;
+    }
+}
+
+module.exports = TitleMatcher;
@@ -0,0 +1,195 @@
+const axios = require('axios');
+const DebridClient = require('./debridClient');
+const TorrentUtils = require('./utils');
+
+const PENDING_STATES = ['metaDL', 'queued', 'checking'];
+
+class TorBoxClient extends DebridClient {
+    /**
+     * @param {string} apiKey - API ключ TorBox
+     * @param {Object} options - baseURL для подмены API (например, локальный mock-сервер)
+     */
+    constructor(apiKey, options = {}) {
+        super(apiKey, {
+            provider: 'torbox',
+            name: 'TorBox',
+            shortName: 'TB',
+            batchSize: 100,
+            baseURL: options.baseURL || 'https://api.torbox.app/v1/api'
+        });
+        this.client = axios.create({
+            baseURL: this.baseURL,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`
+            }
+        });
+    }
+
+    /**
+     * Проверка доступности нескольких торрентов в кэше TorBox одним запросом
+     * @param {Array<string>} infoHashes - Info hash торрентов
+     * @returns {Promise<Object>} Информация о доступности по info hash
+     */
+    async checkAvailabilityChunk(infoHashes) {
+        const response = await this.client.get('/torrents/checkcached', {
+            params: {
+                hash: infoHashes.join(',').toLowerCase(),
+                format: 'list',
+                list_files: true
+            }
+        });
+        const availability = {};
+
+        (response.data.data || []).forEach(item => {
+            if (!item.hash) return;
+
+            availability[item.hash.toUpperCase()] = {
+                available: true,
+                files: (item.files || []).map((file, i) => ({
+                    id: i + 1,
+                    path: file.name,
+                    size: file.size
+                }))
+            };
+        });
+
+        return availability;
+    }
+
+    /**
+     * Добавление магнет-ссылки в TorBox
+     * @param {string} magnet - Магнет-ссылка
+     * @returns {Promise<Object>} Информация о добавленном торренте
+     */
+    async addMagnet(magnet) {
+        try {
+            const response = await this.client.post('/torrents/createtorrent',
+                `magnet=${encodeURIComponent(magnet)}`,
+                {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    }
+                }
+            );
+
+            return { id: response.data.data.torrent_id, ...response.data.data };
+        } catch (error) {
+            console.error('Ошибка добавления магнета в TorBox:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Получение информации о торренте
+     * @param {string} torrentId - ID торрента
+     * @returns {Promise<Object>} Информация о торренте
+     */
+    async getTorrentInfo(torrentId) {
+        const response = await this.client.get('/torrents/mylist', {
+            params: {
+                id: torrentId,
+                bypass_cache: true
+            }
+        });
+        return response.data.data;
+    }
+
+    /**
+     * Получение списка торрентов аккаунта
+     * @returns {Promise<Array>} Список торрентов
+     */
+    async getActiveTorrents() {
+        try {
+            const response = await this.client.get('/torrents/mylist', {
+                params: {
+                    bypass_cache: true
+                }
+            });
+            return response.data.data || [];
+        } catch (error) {
+            console.error('Ошибка получения списка торрентов TorBox:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Получение прямой ссылки для стриминга файла из торрента
+     * @param {string} infoHash - Info hash торрента
+     * @param {number|null} fileId - ID файла из проверки кэша или null для самого большого видео
+     * @returns {Promise<Object>} Статус загрузки { status, progress, failed, url }
+     */
+    async getStreamLink(infoHash, fileId = null) {
+        const torrents = await this.getActiveTorrents();
+        const existing = torrents.find(torrent =>
+            torrent.hash && torrent.hash.toUpperCase() === infoHash.toUpperCase()
+        );
+
+        let torrentId = existing ? existing.id : null;
+        if (!torrentId) {
+            ({ id: torrentId } = await this.addMagnet(TorrentUtils.createMagnetLink(infoHash)));
+        }
+
+        const info = await this.poll(
+            () => this.getTorrentInfo(torrentId),
+            torrent => !torrent.download_finished && PENDING_STATES.includes(torrent.download_state)
+        );
+
+        if (!info.download_finished) {
+            return {
+                status: info.download_state,
+                progress: Math.round((info.progress || 0) * 100),
+                failed: /error|fail/i.test(info.download_state || ''),
+                url: null
+            };
+        }
+
+        // Файлы TorBox нумеруются с 0, в API аддона - с 1
+        const files = (info.files || []).map((file, i) => ({ id: i + 1, path: file.name, size: file.size, fileId: file.id }));
+        const targetId = await this.resolveFileId(infoHash, fileId, files);
+        if (!targetId) {
+            console.error(`Видео файл не найден в торренте ${infoHash}`);
+            return { status: 'error', progress: 0, failed: true, url: null };
+        }
+
+        const url = await this.requestDownload(torrentId, files[targetId - 1].fileId);
+        return { status: info.download_state, progress: 100, failed: false, url };
+    }
+
+    /**
+     * Получение прямой ссылки на файл торрента
+     * @param {string} torrentId - ID торрента
+     * @param {number} fileId - ID файла в TorBox
+     * @returns {Promise<string>} Прямая ссылка для стриминга
+     */
+    async requestDownload(torrentId, fileId) {
+        try {
+            const response = await this.client.get('/torrents/requestdl', {
+                params: {
+                    token: this.apiKey,
+                    torrent_id: torrentId,
+                    file_id: fileId
+                }
+            });
+            return response.data.data;
+        } catch (error) {
+            console.error('Ошибка получения ссылки TorBox:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Получение информации об аккаунте
+     * @returns {Promise<Object>} Информация об аккаунте
+     */
+    async getUserInfo() {
+        try {
+            const response = await this.client.get('/user/me');
+            return response.data.data;
+        } catch (error) {
+            console.error('Ошибка получения информации об аккаунте TorBox:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = TorBoxClient;
@@ -0,0 +1,122 @@
+/**
+ * Разбор .torrent файлов (bencode)
+ */
+
+const crypto = require('crypto');
+
+class TorrentFile {
+    /**
+     * Разбор .torrent файла
+     * @param {Buffer} buffer - Содержимое файла
+     * @returns {Object} { infoHash, name, files: [{ path, size }] }
+     */
+    static parse(buffer) {
+        const { value, infoRange } = this.decode(buffer);
+
+        if (!value || !this.isDict(value.info) || !infoRange) {
+            throw new Error('В торрент-файле нет словаря info');
+        }
+
+        // Info hash - SHA-1 исходных байтов словаря info, а не его повторной сериализации
+        const infoHash = crypto.createHash('sha1')
+            .update(buffer.subarray(infoRange[0], infoRange[1]))
+            .digest('hex')
+            .toUpperCase();
+
+        const info = value.info;
+        const name = this.toText(info['name.utf-8'] || info.name);
+
+        const files = Array.isArray(info.files)
+            ? info.files.map(file => ({
+                path: (file['path.utf-8'] || file.path || []).map(part => this.toText(part)).join('/'),
+                size: file.length || 0
+            }))
+            : [{ path: name, size: info.length || 0 }];
+
+        return { infoHash, name, files };
+    }
+
+    /**
+     * Декодирование bencode
+     * @param {Buffer} buffer - Данные в bencode
+     * @returns {Object} { value, infoRange } - значение и границы словаря info в буфере
+     */
+    static decode(buffer) {
+        let position = 0;
+        let infoRange = null;
+
+        const readUntil = char => {
+            const end = buffer.indexOf(char, position);
+            if (end === -1) throw new Error('Некорректный bencode');
+            const text = buffer.toString('ascii', position, end);
+            position = end + 1;
+            return text;
+        };
+
+        const next = (depth) => {
+            const char = String.fromCharCode(buffer[position]);
+
+            if (char === 'i') {
+                position++;
+                return parseInt(readUntil('e'), 10);
+            }
+
+            if (char === 'l') {
+                position++;
+                const list = [];
+                while (buffer[position] !== 0x65) { // 'e'
+                    if (position >= buffer.length) throw new Error('Некорректный bencode');
+                    list.push(next(depth + 1));
+                }
+                position++;
+                return list;
+            }
+
+            if (char === 'd') {
+                position++;
+                const dict = {};
+                while (buffer[position] !== 0x65) {
+                    if (position >= buffer.length) throw new Error('Некорректный bencode');
+                    const key = next(depth + 1).toString('utf8');
+                    const start = position;
+                    dict[key] = next(depth + 1);
+                    if (depth === 0 && key === 'info') {
+                        infoRange = [start, position];
+                    }
+                }
+                position++;
+                return dict;
+            }
+
+            if (char >= '0' && char <= '9') {
+                const length = parseInt(readUntil(':'), 10);
+                // Обрезанный файл: строка длиннее оставшихся данных
+                if (isNaN(length) || position + length > buffer.length) throw new Error('Некорректный bencode');
+                const value = buffer.subarray(position, position + length);
+                position += length;
+                return value;
+            }
+
+            throw new Error(`Некорректный bencode на позиции ${position}`);
+        };
+
+        const value = next(0);
+        return { value, infoRange };
+    }
+
+    /**
+     * Словарь bencode: не строка, не список и не число
+     */
+    static isDict(value) {
+        return Boolean(value) && typeof value === 'object' && !Buffer.isBuffer(value) && !Array.isArray(value);
+    }
+
+    /**
+     * Строка bencode (Buffer) в текст
+     */
+    static toText(value) {
+        return Buffer.isBuffer(value) ? value.toString('utf8') : String(value || '');
+    }
+}
+
+module.exports = TorrentFile;
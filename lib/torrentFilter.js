@@ -0,0 +1,141 @@
+const ReleaseParser = require('./releaseParser');
+const TorrentUtils = require('./utils');
+
+const DEFAULT_EXCLUDE = ['CAM', 'TS', 'sample'];
+const GB = 1024 * 1024 * 1024;
+
+const SAMPLE = /(?<![a-zа-яё])(sample|trailer|трейлер|тизер)(?![a-zа-яё])/i;
+
+class TorrentFilter {
+    /**
+     * @param {Object} options - Параметры фильтрации
+     * @param {Array<string>} options.exclude - Исключаемые источники (CAM, TS, HDTV...) и sample; не задан - CAM, TS, sample
+     * @param {Array<string>} options.requiredResolutions - Допустимые разрешения (пусто - любые)
+     * @param {number} options.minSize - Минимальный размер раздачи в ГБ
+     * @param {number} options.maxSize - Максимальный размер раздачи в ГБ
+     * @param {Object} options.sizeLimits - Размеры по разрешениям: { '1080p': { min, max } } в ГБ
+     * @param {number} options.minSeeders - Минимум сидов
+     * @param {Array<string>} options.blacklist - Слова, с которыми раздача исключается
+     * @param {Array<string>} options.whitelist - Слова, хотя бы одно из которых должно быть в названии
+     */
+    constructor(options = {}) {
+        const list = (value, fallback = []) => value && value.length > 0 ? value : fallback;
+        const positive = value => value > 0 ? value : null;
+
+        this.options = {
+            // Пустой список - пользователь сознательно отключил исключения
+            exclude: (options.exclude || DEFAULT_EXCLUDE).map(item => item.toLowerCase()),
+            requiredResolutions: list(options.requiredResolutions).map(item => item.toLowerCase()),
+            minSize: positive(options.minSize),
+            maxSize: positive(options.maxSize),
+            sizeLimits: options.sizeLimits || {},
+            minSeeders: positive(options.minSeeders),
+            blacklist: list(options.blacklist),
+            whitelist: list(options.whitelist)
+        };
+
+        this.blacklist = this.options.blacklist.map(TorrentFilter.keywordPattern);
+        this.whitelist = this.options.whitelist.map(TorrentFilter.keywordPattern);
+    }
+
+    /**
+     * Разбор ограничений размера по разрешениям
+     * @param {string} value - Строка вида "4K:10-80, 1080p:2-20, 720p:-5" (ГБ)
+     * @returns {Object} { '4k': { min: 10, max: 80 }, ... }
+     */
+    static parseSizeLimits(value) {
+        const limits = {};
+        if (!value) return limits;
+
+        String(value).split(/[,;]/).forEach(item => {
+            const match = item.trim().match(/^([^:]+):\s*(\d+(?:[.,]\d+)?)?\s*-\s*(\d+(?:[.,]\d+)?)?$/);
+            if (!match) return;
+
+            const number = text => text ? parseFloat(text.replace(',', '.')) : null;
+            limits[match[1].trim().toLowerCase()] = { min: number(match[2]), max: number(match[3]) };
+        });
+
+        return limits;
+    }
+
+    /**
+     * Регулярное выражение для ключевого слова: целым словом, без учета регистра
+     */
+    static keywordPattern(keyword) {
+        const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![a-zа-яё0-9])${escaped}(?![a-zа-яё0-9])`, 'i');
+    }
+
+    /**
+     * Причина исключения раздачи
+     * @param {Object} torrent - Торрент
+     * @returns {string|null} Причина или null, если раздача подходит
+     */
+    check(torrent) {
+        const options = this.options;
+        const title = torrent.title || '';
+        const release = ReleaseParser.parse(title);
+        const resolution = (release.resolution || '').toLowerCase();
+
+        if (release.source && options.exclude.includes(release.source.toLowerCase())) {
+            return release.source;
+        }
+
+        if (options.exclude.includes('sample') && SAMPLE.test(title)) {
+            return 'sample';
+        }
+
+        if (options.requiredResolutions.length > 0 && !options.requiredResolutions.includes(resolution)) {
+            return `разрешение ${release.resolution || 'неизвестно'}`;
+        }
+
+        if (options.minSeeders && (torrent.seeders || 0) < options.minSeeders) {
+            return `сидов меньше ${options.minSeeders}`;
+        }
+
+        const blacklisted = this.blacklist.findIndex(pattern => pattern.test(title));
+        if (blacklisted !== -1) {
+            return `стоп-слово ${options.blacklist[blacklisted]}`;
+        }
+
+        if (this.whitelist.length > 0 && !this.whitelist.some(pattern => pattern.test(title))) {
+            return 'нет обязательных слов';
+        }
+
+        // Размер без единиц измерения не проверяем
+        const bytes = TorrentUtils.parseSize(torrent.size);
+        if (bytes) {
+            const limits = options.sizeLimits[resolution] || {};
+            const minSize = limits.min || options.minSize;
+            const maxSize = limits.max || options.maxSize;
+
+            if (minSize && bytes < minSize * GB) return `размер меньше ${minSize} ГБ`;
+            if (maxSize && bytes > maxSize * GB) return `размер больше ${maxSize} ГБ`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Фильтрация раздач
+     * @param {Array} torrents - Торренты
+     * @returns {Array} Подходящие торренты
+     */
+    apply(torrents) {
+        const result = torrents.filter(torrent => {
+            const reason = this.check(torrent);
+            if (reason) {
+                console.log(`Исключен (${reason}): ${torrent.title}`);
+            }
+            return !reason;
+        });
+
+        if (result.length < torrents.length) {
+            console.log(`Фильтры: исключено ${torrents.length - result.length} из ${torrents.length}`);
+        }
+
+        return result;
+    }
+}
+
+module.exports = TorrentFilter;
@@ -0,0 +1,139 @@
+const ReleaseParser = require('./releaseParser');
+
+const DEFAULT_RESOLUTIONS = ['4K', '1080p', '720p', '480p'];
+
+// Баллы за источник и перевод при равном разрешении
+const SOURCE_POINTS = {
+    'REMUX': 60,
+    'BluRay': 50,
+    'WEB-DL': 40,
+    'WEBRip': 30,
+    'HDRip': 20,
+    'HDTV': 15,
+    'DVD': 10,
+    'TVRip': 5
+};
+
+const VOICEOVER_POINTS = {
+    'Дубляж': 50,
+    'MVO': 40,
+    'DVO': 25,
+    'AVO': 20,
+    'VO': 10
+};
+
+const RESOLUTION_STEP = 100;
+const STUDIO_POINTS = 150;
+const STUDIO_STEP = 25;
+const CODEC_POINTS = 60;
+const CODEC_STEP = 20;
+const HDR_POINTS = 15;
+const DOLBY_VISION_POINTS = 10;
+const MAX_SEEDERS_POINTS = 100;
+const ORIGINAL_AUDIO_POINTS = 50;
+const SUBTITLES_POINTS = 30;
+
+class TorrentRanker {
+    /**
+     * @param {Object} preferences - Предпочтения пользователя
+     * @param {Array<string>} preferences.resolutions - Разрешения от лучшего к худшему
+     * @param {Array<string>} preferences.studios - Студии перевода от лучшей к худшей
+     * @param {Array<string>} preferences.codecs - Кодеки от лучшего к худшему
+     * @param {string} preferences.language - 'ru' - русская озвучка, 'original' - оригинал с субтитрами
+     */
+    constructor(preferences = {}) {
+        const list = (value, fallback = []) => value && value.length > 0 ? value : fallback;
+
+        this.preferences = {
+            resolutions: list(preferences.resolutions, DEFAULT_RESOLUTIONS).map(item => item.toLowerCase()),
+            studios: list(preferences.studios).map(item => item.toLowerCase()),
+            codecs: list(preferences.codecs).map(item => item.toLowerCase()),
+            language: preferences.language === 'original' ? 'original' : 'ru'
+        };
+    }
+
+    /**
+     * Расчет рейтинга раздачи
+     * @param {Object} torrent - Торрент
+     * @returns {Object} { score, breakdown: [{ rule, points }] }
+     */
+    score(torrent) {
+        const release = ReleaseParser.parse(torrent.title);
+        const prefs = this.preferences;
+        const breakdown = [];
+        const add = (rule, points) => {
+            if (points) breakdown.push({ rule, points });
+        };
+
+        const resolution = (release.resolution || '').toLowerCase();
+        const resolutionIndex = prefs.resolutions.indexOf(resolution);
+        if (resolutionIndex !== -1) {
+            add(release.resolution, (prefs.resolutions.length - resolutionIndex) * RESOLUTION_STEP);
+        }
+
+        if (release.source) add(release.source, SOURCE_POINTS[release.source] || 0);
+
+        const studioIndex = release.studios
+            .map(studio => prefs.studios.indexOf(studio.toLowerCase()))
+            .filter(index => index !== -1)
+            .sort((a, b) => a - b)[0];
+        if (studioIndex !== undefined) {
+            add(release.studios.find(studio => studio.toLowerCase() === prefs.studios[studioIndex]),
+                Math.max(STUDIO_POINTS - studioIndex * STUDIO_STEP, STUDIO_STEP));
+        }
+
+        if (prefs.language === 'original') {
+            if (release.originalAudio) add('Оригинал', ORIGINAL_AUDIO_POINTS);
+            if (release.subtitles) add('Субтитры', SUBTITLES_POINTS);
+        } else {
+            // Типы перевода отсортированы от лучшего, учитываем лучший
+            const voiceover = release.voiceovers[0];
+            if (voiceover) add(voiceover, VOICEOVER_POINTS[voiceover]);
+        }
+
+        const codecIndex = release.codec ? prefs.codecs.indexOf(release.codec.toLowerCase()) : -1;
+        if (codecIndex !== -1) {
+            add(release.codec, Math.max(CODEC_POINTS - codecIndex * CODEC_STEP, CODEC_STEP));
+        }
+
+        if (release.hdr) add(release.hdr, HDR_POINTS);
+        if (release.dolbyVision) add('DV', DOLBY_VISION_POINTS);
+
+        const seeders = torrent.seeders || 0;
+        add('Сиды', Math.min(Math.round(Math.log2(seeders + 1) * 10), MAX_SEEDERS_POINTS));
+
+        return {
+            score: breakdown.reduce((sum, item) => sum + item.points, 0),
+            breakdown
+        };
+    }
+
+    /**
+     * Сортировка раздач по рейтингу.
+     * При равном рейтинге - по сидам, затем по названию и info hash, чтобы порядок был стабильным
+     * @param {Array} torrents - Торренты
+     * @returns {Array} Торренты с полем ranking: { score, breakdown }
+     */
+    rank(torrents) {
+        const ranked = torrents.map(torrent => ({ ...torrent, ranking: this.score(torrent) }));
+
+        return ranked.sort((a, b) =>
+            (b.ranking.score - a.ranking.score) ||
+            ((b.seeders || 0) - (a.seeders || 0)) ||
+            (a.title || '').localeCompare(b.title || '') ||
+            (a.infoHash || '').localeCompare(b.infoHash || '')
+        );
+    }
+
+    /**
+     * Расчет рейтинга в одну строку для режима отладки
+     * @param {Object} ranking - Результат score()
+     * @returns {string} Например "465 = 1080p +300, WEB-DL +40, Дубляж +50, Сиды +75"
+     */
+    static explain(ranking) {
+        const parts = ranking.breakdown.map(item => `${item.rule} +${item.points}`);
+        return `${ranking.score} = ${parts.join(', ') || '0'}`;
+    }
+}
+
+module.exports = TorrentRanker;
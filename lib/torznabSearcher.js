@@ -0,0 +1,302 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const TorrentUtils = require('./utils');
+const ReleaseParser = require('./releaseParser');
+const TitleMatcher = require('./titleMatcher');
+const { CACHE_TTL, remember, hashKey } = require('./cache');
+
+// Возможности эндпоинта (t=caps) не меняются - храним на время жизни функции
+const capsCache = new Map();
+
+class TorznabSearcher {
+    /**
+     * @param {Array|string|null} endpoints - Эндпоинты Torznab: [{ url, apiKey }] или строка "url|apikey, url|apikey"
+     *
+     * Примеры URL:
+     *   Prowlarr: http://localhost:9696/1/api (индексер с ID 1)
+     *   Jackett:  http://localhost:9117/api/v2.0/indexers/all/results/torznab/api
+     */
+    constructor(endpoints = null) {
+        this.endpoints = TorznabSearcher.parseEndpoints(endpoints || process.env.TORZNAB_ENDPOINTS);
+        this.timeout = 15000;
+
+        if (this.endpoints.length > 0) {
+            this.enabled = true;
+            console.log(`✓ Torznab: настроено эндпоинтов: ${this.endpoints.length}`);
+        } else {
+            this.enabled = false;
+        }
+    }
+
+    /**
+     * Разбор списка эндпоинтов
+     * @param {Array|string} value - Массив { url, apiKey } или строка "url|apikey" через запятую или перевод строки
+     * @returns {Array} Эндпоинты [{ url, apiKey, name }]
+     */
+    static parseEndpoints(value) {
+        if (!value) return [];
+
+        const entries = Array.isArray(value)
+            ? value
+            : String(value).split(/[,\n]/).map(item => {
+                const [url, apiKey] = item.trim().split('|');
+                return { url, apiKey };
+            });
+
+        return entries
+            .filter(entry => entry && entry.url)
+            .map(entry => {
+                const url = entry.url.trim().replace(/\/+$/, '');
+                let name = url;
+                try {
+                    const parsed = new URL(url);
+                    name = parsed.host + parsed.pathname.replace(/\/api$/, '');
+                } catch (e) {
+                    // Оставляем URL как название
+                }
+                return { url, apiKey: entry.apiKey ? entry.apiKey.trim() : null, name };
+            });
+    }
+
+    /**
+     * Поиск по всем эндпоинтам с объединением результатов
+     * @param {Object} params - Параметры поиска
+     * @returns {Promise<Array>} Массив найденных торрентов
+     */
+    async search(params) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const allResults = await Promise.allSettled(
+            this.endpoints.map(endpoint => this.searchEndpoint(endpoint, params))
+        );
+
+        const results = [];
+        allResults.forEach(result => {
+            if (result.status === 'fulfilled' && result.value) {
+                results.push(...result.value);
+            }
+        });
+
+        // Одна раздача может прийти из нескольких эндпоинтов - объединяем в одну
+        results.sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
+        const unique = TorrentUtils.removeDuplicates(results);
+
+        console.log(`Torznab: найдено ${unique.length} результатов`);
+        return unique;
+    }
+
+    /**
+     * Поиск на одном эндпоинте
+     * @param {Object} endpoint - Эндпоинт { url, apiKey, name }
+     * @param {Object} params - Параметры поиска
+     * @returns {Promise<Array>} Найденные торренты
+     */
+    async searchEndpoint(endpoint, params) {
+        try {
+            const caps = await this.getCaps(endpoint);
+            const titles = TitleMatcher.getSearchTitles(params);
+
+            // Поиск по IMDb ID не зависит от названия, текстовый - по каждому названию
+            const first = this.buildQueries(caps, params, titles[0]);
+            const queries = first.some(query => query.q)
+                ? titles.flatMap(title => this.buildQueries(caps, params, title))
+                : first;
+
+            // Общий кэш для всех пользователей; ошибка запроса не кэшируется
+            const cacheKey = `search:torznab:${hashKey(endpoint.url + JSON.stringify(queries))}`;
+
+            return await remember(cacheKey, CACHE_TTL.search, async () => {
+                const results = [];
+
+                for (const query of queries) {
+                    console.log(`Поиск через Torznab ${endpoint.name}: ${JSON.stringify(query)}`);
+
+                    const $ = await this.request(endpoint, query);
+
+                    $('item').each((i, item) => {
+                        const torrent = this.parseItem($, $(item), endpoint);
+                        if (torrent) results.push(torrent);
+                    });
+                }
+
+                console.log(`Torznab ${endpoint.name}: найдено ${results.length} результатов`);
+                return results;
+            });
+
+        } catch (error) {
+            console.error(`Ошибка поиска через Torznab ${endpoint.name}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Получение возможностей эндпоинта (t=caps)
+     * @param {Object} endpoint - Эндпоинт
+     * @returns {Promise<Object>} { movie: [параметры] | null, tv: [параметры] | null }
+     */
+    async getCaps(endpoint) {
+        if (capsCache.has(endpoint.url)) {
+            return capsCache.get(endpoint.url);
+        }
+
+        const caps = { movie: null, tv: null };
+
+        try {
+            const $ = await this.request(endpoint, { t: 'caps' });
+
+            const readSearch = selector => {
+                const $search = $(`searching > ${selector}`);
+                if ($search.attr('available') !== 'yes') return null;
+                return ($search.attr('supportedParams') || 'q').split(',').map(param => param.trim());
+            };
+
+            caps.movie = readSearch('movie-search');
+            caps.tv = readSearch('tv-search');
+            capsCache.set(endpoint.url, caps);
+
+        } catch (error) {
+            // Без caps используем обычный текстовый поиск, не кэшируем - попробуем в следующий раз
+            console.error(`Ошибка получения caps Torznab ${endpoint.name}:`, error.message);
+        }
+
+        return caps;
+    }
+
+    /**
+     * Запросы по одному названию: для серии - серия и сезон целиком
+     * @param {Object} caps - Возможности эндпоинта
+     * @param {Object} params - Параметры поиска
+     * @param {string} title - Название для текстового поиска
+     * @returns {Array<Object>} Параметры запросов Torznab
+     */
+    buildQueries(caps, params, title) {
+        const query = this.buildQuery(caps, params, title);
+        const categories = TorrentUtils.getCategories(params);
+        const withCategories = item => categories ? { ...item, cat: categories.join(',') } : item;
+
+        if (query.t === 'search') {
+            return TorrentUtils.buildSearchQueries(title, params).map(q => withCategories({ t: 'search', q }));
+        }
+
+        // Раздачи сезонов на индексаторах не привязаны к номеру серии
+        if (query.ep) {
+            return [query, this.buildQuery(caps, { ...params, episode: null }, title)].map(withCategories);
+        }
+
+        return [withCategories(query)];
+    }
+
+    /**
+     * Формирование параметров поиска по возможностям эндпоинта
+     * @param {Object} caps - Возможности эндпоинта
+     * @param {Object} params - Параметры поиска
+     * @param {string} title - Название для текстового поиска
+     * @returns {Object} Параметры запроса Torznab
+     */
+    buildQuery(caps, params, title) {
+        const { type, imdbId, year, season, episode } = params;
+        const imdbNumber = imdbId && imdbId.startsWith('tt') ? imdbId.replace('tt', '') : null;
+
+        if (type === 'series' && caps.tv) {
+            const query = { t: 'tvsearch' };
+
+            if (imdbNumber && caps.tv.includes('imdbid')) {
+                query.imdbid = imdbNumber;
+            } else {
+                query.q = title;
+            }
+
+            // Номер серии без сезона (аниме) индексаторы не понимают - ищем весь тайтл
+            if (season && caps.tv.includes('season')) query.season = season;
+            if (season && episode && caps.tv.includes('ep')) query.ep = episode;
+
+            return query;
+        }
+
+        if (type === 'movie' && caps.movie) {
+            const query = { t: 'movie' };
+
+            if (imdbNumber && caps.movie.includes('imdbid')) {
+                query.imdbid = imdbNumber;
+            } else {
+                query.q = year ? `${title} ${year}` : title;
+            }
+
+            return query;
+        }
+
+        // Эндпоинт без movie/tv-search - обычный текстовый поиск
+        return { t: 'search', q: TorrentUtils.buildSearchQuery(title, params) };
+    }
+
+    /**
+     * Разбор элемента <item> ответа
+     * @returns {Object|null} Торрент или null, если нет info hash
+     */
+    parseItem($, $item, endpoint) {
+        const attrs = {};
+        $item.find('torznab\\:attr').each((i, attr) => {
+            attrs[$(attr).attr('name')] = $(attr).attr('value');
+        });
+
+        const title = $item.find('title').first().text().trim();
+        const link = $item.find('link').first().text().trim();
+        const magnet = attrs.magneturl || (link.startsWith('magnet:') ? link : null);
+
+        const infoHash = attrs.infohash
+            ? attrs.infohash.toUpperCase()
+            : TorrentUtils.extractInfoHash(magnet);
+
+        if (!title || !infoHash) return null;
+
+        const size = parseInt($item.find('size').first().text()) ||
+            parseInt($item.find('enclosure').attr('length')) || null;
+
+        const indexer = $item.find('prowlarrindexer, jackettindexer, indexer').first().text().trim();
+
+        return {
+            title,
+            infoHash,
+            size: TorrentUtils.formatBytes(size),
+            seeders: parseInt(attrs.seeders) || 0,
+            peers: parseInt(attrs.peers) || 0,
+            quality: ReleaseParser.getQuality(title),
+            source: indexer || endpoint.name,
+            magnet,
+            publishDate: $item.find('pubDate').first().text().trim() || null
+        };
+    }
+
+    /**
+     * Запрос к эндпоинту Torznab
+     * @param {Object} endpoint - Эндпоинт
+     * @param {Object} query - Параметры запроса
+     * @returns {Promise<Function>} Загруженный XML (cheerio)
+     */
+    async request(endpoint, query) {
+        const response = await axios.get(endpoint.url, {
+            params: {
+                ...query,
+                apikey: endpoint.apiKey || undefined
+            },
+            timeout: this.timeout,
+            responseType: 'text',
+            headers: {
+                'User-Agent': 'Stremio-RD-Addon/1.0'
+            }
+        });
+
+        const $ = cheerio.load(response.data, { xmlMode: true });
+
+        const $error = $('error');
+        if ($error.length) {
+            throw new Error(`${$error.attr('code')}: ${$error.attr('description')}`);
+        }
+
+        return $;
+    }
+}
+
+module.exports = TorznabSearcher;
@@ -0,0 +1,84 @@
+const axios = require('axios');
+const BaseTracker = require('./baseTracker');
+const ReleaseParser = require('../releaseParser');
+const TorrentUtils = require('../utils');
+
+/**
+ * Anilibria - аниме с русской озвучкой, поиск через публичный JSON API
+ */
+class AnilibriaTracker extends BaseTracker {
+    constructor(options = {}) {
+        super({
+            id: 'anilibria',
+            name: 'Anilibria',
+            url: 'https://api.anilibria.tv/v3',
+            encoding: 'utf-8'
+        }, options);
+    }
+
+    /**
+     * Запросы к API - только по названию: запросы одного названия с разными сезоном и серией
+     * дали бы одинаковые результаты, поэтому по каждому названию ищем один раз
+     */
+    async searchAll(queries, params = {}) {
+        const titles = [...new Set(queries.map(item => item.title || item.query))];
+        const results = [];
+
+        for (const title of titles) {
+            results.push(...await this.search(title, { ...params, title }));
+        }
+
+        return results;
+    }
+
+    /**
+     * API ищет по названию, год и номер серии в запросе мешают поиску
+     */
+    async search(query, params = {}) {
+        try {
+            const response = await axios.get(`${this.url}/title/search`, {
+                timeout: this.timeout,
+                params: {
+                    search: params.title || query,
+                    filter: 'names,torrents',
+                    limit: 10
+                }
+            });
+
+            const results = [];
+
+            (response.data.list || []).forEach(release => {
+                const names = [release.names?.ru, release.names?.en].filter(Boolean).join(' / ');
+
+                (release.torrents?.list || []).forEach(torrent => {
+                    if (!torrent.hash) return;
+
+                    const title = [
+                        names,
+                        torrent.episodes?.string ? `[${torrent.episodes.string}]` : null,
+                        torrent.quality?.string
+                    ].filter(Boolean).join(' ');
+
+                    results.push({
+                        title,
+                        infoHash: torrent.hash.toUpperCase(),
+                        size: TorrentUtils.formatBytes(torrent.total_size),
+                        seeders: torrent.seeders || 0,
+                        quality: ReleaseParser.getQuality(title),
+                        source: this.name,
+                        magnet: torrent.magnet || TorrentUtils.createMagnetLink(torrent.hash, title)
+                    });
+                });
+            });
+
+            console.log(`Anilibria: найдено ${results.length} результатов`);
+            return results;
+
+        } catch (error) {
+            console.error('Ошибка поиска на Anilibria:', error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = AnilibriaTracker;
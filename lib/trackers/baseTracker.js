@@ -0,0 +1,254 @@
+const axios = require('axios');
+const iconv = require('iconv-lite');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+const TOPIC_PAGES_LIMIT = 15; // Страниц раздач, загружаемых ради info hash, на весь поиск по всем запросам
+const TOPIC_PAGES_CONCURRENCY = 5;
+
+// Сессии трекеров, переживают повторные вызовы "теплой" serverless-функции
+const sessions = new Map();
+
+/**
+ * Базовый класс трекера.
+ * Трекер объявляет ID, название, URL и кодировку и реализует search(query, params).
+ * Трекеры с авторизацией дополнительно реализуют login(login, password)
+ */
+class BaseTracker {
+    /**
+     * @param {Object} settings - Описание трекера
+     * @param {string} settings.id - ID трекера (используется в конфигурации и переменных окружения)
+     * @param {string} settings.name - Название трекера для результатов поиска
+     * @param {string} settings.url - Базовый URL
+     * @param {string} settings.encoding - Кодировка страниц
+     * @param {string} settings.sessionCookie - Имя cookie сессии (если cookie передан только значением)
+     * @param {string} settings.loggedInMarker - Строка, которая есть только на страницах авторизованного пользователя
+     * @param {Object} options - Параметры пользователя: { url, login, password, cookie }
+     */
+    constructor(settings, options = {}) {
+        const envPrefix = settings.id.toUpperCase();
+
+        this.id = settings.id;
+        this.name = settings.name;
+        this.url = options.url || settings.url;
+        this.encoding = settings.encoding || 'utf-8';
+        this.sessionCookie = settings.sessionCookie || null;
+        this.loggedInMarker = settings.loggedInMarker || null;
+
+        this.login = options.login || process.env[`${envPrefix}_LOGIN`] || null;
+        this.password = options.password || process.env[`${envPrefix}_PASSWORD`] || null;
+        this.cookie = options.cookie || process.env[`${envPrefix}_COOKIE`] || null;
+
+        this.timeout = 10000; // 10 секунд таймаут
+    }
+
+    /**
+     * Поиск раздач
+     * @param {string} query - Поисковый запрос
+     * @param {Object} params - Исходные параметры поиска (type, title, year, season, episode),
+     *                          topicPages - общий для всех запросов учет загруженных страниц раздач
+     * @returns {Promise<Array>} Найденные торренты
+     */
+    async search(query, params = {}) {
+        throw new Error(`${this.name}: search не реализован`);
+    }
+
+    /**
+     * Поиск по нескольким запросам по очереди (одна авторизация, без лишней нагрузки).
+     * Страница раздачи, найденной несколькими запросами, загружается один раз,
+     * а всего страниц загружается не больше TOPIC_PAGES_LIMIT
+     * @param {Array} queries - Запросы [{ title, query }]
+     * @param {Object} params - Исходные параметры поиска
+     * @returns {Promise<Array>} Найденные торренты
+     */
+    async searchAll(queries, params = {}) {
+        const topicPages = { seen: new Set(), remaining: TOPIC_PAGES_LIMIT };
+        const results = [];
+
+        for (const { title, query } of queries) {
+            results.push(...await this.search(query, { ...params, title, topicPages }));
+        }
+
+        return results;
+    }
+
+    /**
+     * Можно ли искать: трекерам с авторизацией нужен логин с паролем или cookie
+     * @returns {boolean} True если поиск возможен
+     */
+    canSearch() {
+        return !this.loggedInMarker || Boolean(this.cookie || (this.login && this.password));
+    }
+
+    /**
+     * Авторизация на трекере
+     * @param {string} login - Логин
+     * @param {string} password - Пароль
+     * @returns {Promise<string|null>} Cookie сессии или null при неудаче
+     */
+    async authorize(login, password) {
+        return null;
+    }
+
+    /**
+     * Загрузка страниц раздач для самых сидируемых результатов.
+     * Раздачи, уже загруженные по предыдущим запросам, пропускаются - они есть в их результатах
+     * @param {Array} topics - Результаты поиска без info hash
+     * @param {Function} resolveTopic - Загрузка раздачи, возвращает результат или null
+     * @param {Object} topicPages - Учет страниц из searchAll: { seen, remaining }; без него - лимит на один запрос
+     * @returns {Promise<Array>} Результаты с info hash
+     */
+    async resolveTopics(topics, resolveTopic, topicPages = null) {
+        const pages = topicPages || { seen: new Set(), remaining: TOPIC_PAGES_LIMIT };
+
+        const candidates = [...topics]
+            .filter(topic => !pages.seen.has(topic.topicId))
+            .sort((a, b) => b.seeders - a.seeders)
+            .slice(0, Math.max(pages.remaining, 0));
+
+        candidates.forEach(topic => pages.seen.add(topic.topicId));
+        pages.remaining -= candidates.length;
+
+        const results = [];
+
+        for (let i = 0; i < candidates.length; i += TOPIC_PAGES_CONCURRENCY) {
+            const chunk = candidates.slice(i, i + TOPIC_PAGES_CONCURRENCY);
+            const resolved = await Promise.all(chunk.map(resolveTopic));
+
+            // Раздачи без info hash бесполезны для debrid-сервиса
+            results.push(...resolved.filter(Boolean));
+        }
+
+        return results;
+    }
+
+    /**
+     * Загрузка страницы с авторизацией; при устаревшей сессии авторизуется заново
+     * @param {string} path - Путь страницы
+     * @returns {Promise<Object|null>} { html, cookie } или null, если авторизация не настроена
+     */
+    async fetchAuthorized(path) {
+        let cookie = await this.getSession();
+        if (!cookie) return null;
+
+        let html = await this.fetchPage(path, cookie);
+
+        if (!html.includes(this.loggedInMarker)) {
+            // Сессия устарела - авторизуемся заново
+            cookie = await this.getSession(true);
+            if (!cookie) return null;
+
+            html = await this.fetchPage(path, cookie);
+        }
+
+        return { html, cookie };
+    }
+
+    /**
+     * Получение cookie сессии
+     * @param {boolean} forceLogin - Авторизоваться заново, даже если сессия сохранена
+     * @returns {Promise<string|null>} Cookie для заголовка запроса
+     */
+    async getSession(forceLogin = false) {
+        const sessionKey = `${this.id}:${this.login || this.cookie}`;
+        if (!forceLogin && sessions.has(sessionKey)) {
+            return sessions.get(sessionKey);
+        }
+
+        // Cookie, заданный пользователем, используется до первого отказа
+        if (this.cookie && !forceLogin) {
+            return this.cookie.includes('=') ? this.cookie : `${this.sessionCookie}=${this.cookie}`;
+        }
+
+        if (!this.login || !this.password) {
+            if (this.cookie) console.error(`${this.name}: cookie сессии недействителен`);
+            return null;
+        }
+
+        const session = await this.authorize(this.login, this.password);
+        if (session) {
+            console.log(`${this.name}: авторизация выполнена`);
+            sessions.set(sessionKey, session);
+        } else {
+            console.error(`${this.name}: неверный логин или пароль (или требуется капча)`);
+            sessions.delete(sessionKey);
+        }
+
+        return session;
+    }
+
+    /**
+     * Отправка формы авторизации
+     * @param {string} path - Путь формы
+     * @param {Object} fields - Поля формы
+     * @returns {Promise<Array<string>>} Установленные cookie в виде "имя=значение"
+     */
+    async postLogin(path, fields) {
+        try {
+            const response = await axios.post(`${this.url}${path}`, this.encodeForm(fields), {
+                timeout: this.timeout,
+                maxRedirects: 0,
+                validateStatus: status => status < 400,
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            return (response.headers['set-cookie'] || [])
+                .map(header => header.split(';')[0])
+                .filter(pair => !pair.endsWith('=deleted'));
+
+        } catch (error) {
+            console.error(`Ошибка авторизации на ${this.name}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Загрузка страницы трекера в его кодировке
+     * @param {string} path - Путь страницы
+     * @param {string|null} cookie - Cookie сессии
+     * @returns {Promise<string>} HTML страницы
+     */
+    async fetchPage(path, cookie = null) {
+        const headers = {
+            'User-Agent': USER_AGENT
+        };
+        if (cookie) headers['Cookie'] = cookie;
+
+        const response = await axios.get(`${this.url}${path}`, {
+            timeout: this.timeout,
+            responseType: 'arraybuffer',
+            headers
+        });
+
+        return iconv.decode(response.data, this.encoding);
+    }
+
+    /**
+     * Кодирование значения для URL в кодировке трекера: трекеры в windows-1251
+     * не находят русский запрос, закодированный в UTF-8
+     * @param {string} value - Значение
+     * @returns {string} Значение в percent-encoding
+     */
+    encodeValue(value) {
+        return Array.from(iconv.encode(String(value), this.encoding))
+            .map(byte => /[A-Za-z0-9\-_.~]/.test(String.fromCharCode(byte))
+                ? String.fromCharCode(byte)
+                : '%' + byte.toString(16).toUpperCase().padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Кодирование полей формы в кодировке трекера
+     * @param {Object} fields - Поля формы
+     * @returns {string} Тело запроса application/x-www-form-urlencoded
+     */
+    encodeForm(fields) {
+        return Object.entries(fields)
+            .map(([key, value]) => `${key}=${this.encodeValue(value)}`)
+            .join('&');
+    }
+}
+
+module.exports = BaseTracker;
@@ -0,0 +1,22 @@
+/**
+ * Реестр трекеров для прямого поиска.
+ * Новый трекер - модуль с классом-наследником BaseTracker и строка в этом списке
+ */
+
+const RutorTracker = require('./rutor');
+const RutrackerTracker = require('./rutracker');
+const KinozalTracker = require('./kinozal');
+const NnmClubTracker = require('./nnmclub');
+const TorrentByTracker = require('./torrentby');
+const AnilibriaTracker = require('./anilibria');
+
+// enabled - включен ли трекер, если пользователь не выбрал трекеры сам,
+// anime - трекер аниме: подключается к поиску по Kitsu ID, даже если не выбран
+module.exports = {
+    rutor: { Tracker: RutorTracker, enabled: true },
+    rutracker: { Tracker: RutrackerTracker, enabled: true },
+    kinozal: { Tracker: KinozalTracker, enabled: true },
+    nnmclub: { Tracker: NnmClubTracker, enabled: true },
+    torrentby: { Tracker: TorrentByTracker, enabled: true },
+    anilibria: { Tracker: AnilibriaTracker, enabled: false, anime: true }
+};
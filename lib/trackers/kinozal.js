@@ -0,0 +1,135 @@
+const cheerio = require('cheerio');
+const BaseTracker = require('./baseTracker');
+const ReleaseParser = require('../releaseParser');
+const TorrentUtils = require('../utils');
+
+/**
+ * Kinozal.tv - info hash и список файлов доступны только после авторизации
+ */
+class KinozalTracker extends BaseTracker {
+    constructor(options = {}) {
+        super({
+            id: 'kinozal',
+            name: 'Kinozal',
+            url: 'https://kinozal.tv',
+            encoding: 'windows-1251',
+            sessionCookie: 'uid',
+            loggedInMarker: '/logout.php'
+        }, options);
+    }
+
+    async search(query, params = {}) {
+        try {
+            const page = await this.fetchAuthorized(`/browse.php?s=${this.encodeValue(query)}`);
+
+            if (!page) {
+                console.log('Kinozal: авторизация не настроена, поиск пропущен');
+                return [];
+            }
+
+            const $ = cheerio.load(page.html);
+
+            const topics = [];
+
+            $('.t_peer tr').each((i, row) => {
+                const $row = $(row);
+                const $title = $row.find('td.nam a, .t_title a').first();
+
+                if (!$title.length) return;
+
+                const title = $title.text().trim();
+                const topicId = $title.attr('href')?.match(/id=(\d+)/)?.[1];
+
+                if (!topicId) return;
+
+                // Колонки .s: комментарии, размер, дата
+                const sizeText = $row.find('td.s').eq(1).text().trim();
+                const seeders = parseInt($row.find('.sl_s').text()) || 0;
+
+                topics.push({
+                    title,
+                    size: sizeText,
+                    seeders,
+                    quality: ReleaseParser.getQuality(title),
+                    source: this.name,
+                    topicId
+                });
+            });
+
+            const results = await this.resolveTopics(topics, async topic => {
+                const details = await this.getDetails(topic.topicId, page.cookie);
+                if (!details || !details.infoHash) return null;
+
+                return {
+                    ...topic,
+                    infoHash: details.infoHash,
+                    magnet: TorrentUtils.createMagnetLink(details.infoHash, topic.title),
+                    files: details.files
+                };
+            }, params.topicPages);
+
+            console.log(`Kinozal: найдено ${results.length} результатов`);
+            return results;
+
+        } catch (error) {
+            console.error('Ошибка поиска на Kinozal:', error.message);
+            return [];
+        }
+    }
+
+    async authorize(login, password) {
+        const cookies = await this.postLogin('/takelogin.php', {
+            username: login,
+            password: password,
+            returnto: ''
+        });
+
+        const uid = cookies.find(pair => pair.startsWith('uid='));
+        const pass = cookies.find(pair => pair.startsWith('pass='));
+
+        return uid && pass ? `${uid}; ${pass}` : null;
+    }
+
+    /**
+     * Получение info hash и списка файлов раздачи
+     * @param {string} topicId - ID раздачи
+     * @param {string} cookie - Cookie сессии
+     * @returns {Promise<Object|null>} { infoHash, files: [{ path, size }] }
+     */
+    async getDetails(topicId, cookie) {
+        try {
+            const html = await this.fetchPage(`/get_srv_details.php?id=${topicId}&action=2`, cookie);
+
+            const hashMatch = html.match(/Инфо хеш:\s*([a-fA-F0-9]{40})/i);
+            if (!hashMatch) return null;
+
+            // Файлы раздачи: <li>путь<span class="floatright">размер</span></li>
+            const $ = cheerio.load(html);
+            const files = [];
+
+            $('li').each((i, item) => {
+                const $item = $(item);
+                const $size = $item.find('span.floatright');
+
+                if (!$size.length) return;
+
+                // Размер в байтах, как у debrid-сервисов: по нему файл сопоставляется с позицией в торренте
+                const size = TorrentUtils.parseSize($size.text().trim());
+                $size.remove();
+
+                files.push({ path: $item.text().trim(), size });
+            });
+
+            return {
+                infoHash: hashMatch[1].toUpperCase(),
+                files
+            };
+
+        } catch (error) {
+            console.error(`Ошибка загрузки раздачи Kinozal ${topicId}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = KinozalTracker;
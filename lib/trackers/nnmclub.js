@@ -0,0 +1,85 @@
+const cheerio = require('cheerio');
+const BaseTracker = require('./baseTracker');
+const ReleaseParser = require('../releaseParser');
+const TorrentUtils = require('../utils');
+
+/**
+ * NNM-Club - поиск доступен без авторизации, магнет-ссылка на странице раздачи
+ */
+class NnmClubTracker extends BaseTracker {
+    constructor(options = {}) {
+        super({
+            id: 'nnmclub',
+            name: 'NNM-Club',
+            url: 'https://nnmclub.to',
+            encoding: 'windows-1251'
+        }, options);
+    }
+
+    async search(query, params = {}) {
+        try {
+            const html = await this.fetchPage(`/forum/tracker.php?nm=${this.encodeValue(query)}`);
+            const $ = cheerio.load(html);
+
+            const topics = [];
+
+            $('table.forumline tr.prow1, table.forumline tr.prow2').each((i, row) => {
+                const $row = $(row);
+                const $titleLink = $row.find('a.topictitle').first();
+
+                if (!$titleLink.length) return;
+
+                const title = $titleLink.text().trim();
+                const topicId = $titleLink.attr('href')?.match(/t=(\d+)/)?.[1];
+
+                if (!topicId) return;
+
+                // Скрытый <u> в колонке размера содержит размер в байтах
+                const sizeBytes = parseInt($row.find('td u').first().text());
+                const seeders = parseInt($row.find('.seedmed').text()) || 0;
+
+                topics.push({
+                    title,
+                    size: sizeBytes ? TorrentUtils.formatBytes(sizeBytes) : null,
+                    seeders,
+                    quality: ReleaseParser.getQuality(title),
+                    source: this.name,
+                    topicId
+                });
+            });
+
+            const results = await this.resolveTopics(topics, async topic => {
+                const magnet = await this.getMagnet(topic.topicId);
+                const infoHash = TorrentUtils.extractInfoHash(magnet);
+                return infoHash ? { ...topic, infoHash, magnet } : null;
+            }, params.topicPages);
+
+            console.log(`NNM-Club: найдено ${results.length} результатов`);
+            return results;
+
+        } catch (error) {
+            console.error('Ошибка поиска на NNM-Club:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Получение магнет-ссылки со страницы раздачи
+     * @param {string} topicId - ID темы
+     * @returns {Promise<string|null>} Магнет-ссылка
+     */
+    async getMagnet(topicId) {
+        try {
+            const html = await this.fetchPage(`/forum/viewtopic.php?t=${topicId}`);
+            const $ = cheerio.load(html);
+
+            return $('a[href^="magnet:"]').attr('href') || null;
+
+        } catch (error) {
+            console.error(`Ошибка загрузки раздачи NNM-Club ${topicId}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = NnmClubTracker;
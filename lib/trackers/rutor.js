@@ -0,0 +1,69 @@
+const cheerio = require('cheerio');
+const BaseTracker = require('./baseTracker');
+const ReleaseParser = require('../releaseParser');
+const TorrentUtils = require('../utils');
+
+/**
+ * Rutor.info - магнет-ссылки есть прямо в результатах поиска, авторизация не нужна
+ */
+class RutorTracker extends BaseTracker {
+    constructor(options = {}) {
+        super({
+            id: 'rutor',
+            name: 'Rutor',
+            url: 'http://rutor.info',
+            encoding: 'utf-8'
+        }, options);
+    }
+
+    async search(query) {
+        try {
+            const html = await this.fetchPage(`/search/0/0/000/0/${encodeURIComponent(query)}`);
+            const $ = cheerio.load(html);
+
+            const results = [];
+
+            $('#index tr').each((i, row) => {
+                if (i === 0) return; // Пропустить заголовок
+
+                const $row = $(row);
+                const $titleCell = $row.find('td').eq(1);
+                const $link = $titleCell.find('a').last();
+                const magnet = $titleCell.find('a[href^="magnet:"]').attr('href');
+
+                if (!$link.length || !magnet) return;
+
+                const title = $link.text().trim();
+                const infoHash = TorrentUtils.extractInfoHash(magnet);
+
+                if (!infoHash) return;
+
+                // Размер - предпоследняя колонка (в строках с комментариями колонок на одну больше)
+                const $cells = $row.find('td');
+                const sizeText = $cells.eq($cells.length - 2).text().trim();
+
+                // Сиды/пиры
+                const seeders = parseInt($row.find('.green').text()) || 0;
+
+                results.push({
+                    title,
+                    infoHash,
+                    size: sizeText,
+                    seeders,
+                    quality: ReleaseParser.getQuality(title),
+                    source: this.name,
+                    magnet
+                });
+            });
+
+            console.log(`Rutor: найдено ${results.length} результатов`);
+            return results;
+
+        } catch (error) {
+            console.error('Ошибка поиска на Rutor:', error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = RutorTracker;
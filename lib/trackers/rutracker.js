@@ -0,0 +1,109 @@
+const cheerio = require('cheerio');
+const BaseTracker = require('./baseTracker');
+const ReleaseParser = require('../releaseParser');
+const TorrentUtils = require('../utils');
+
+/**
+ * RuTracker.org - поиск и страницы раздач доступны только после авторизации
+ */
+class RutrackerTracker extends BaseTracker {
+    constructor(options = {}) {
+        super({
+            id: 'rutracker',
+            name: 'RuTracker',
+            url: 'https://rutracker.org',
+            encoding: 'windows-1251',
+            sessionCookie: 'bb_session',
+            loggedInMarker: 'logged-in-username'
+        }, options);
+    }
+
+    async search(query, params = {}) {
+        try {
+            const page = await this.fetchAuthorized(`/forum/tracker.php?nm=${this.encodeValue(query)}`);
+
+            if (!page) {
+                console.log('RuTracker: авторизация не настроена, поиск пропущен');
+                return [];
+            }
+
+            const $ = cheerio.load(page.html);
+
+            const topics = [];
+
+            $('#tor-tbl tbody tr').each((i, row) => {
+                const $row = $(row);
+                const $titleLink = $row.find('a.tLink, .t-title a').first();
+
+                if (!$titleLink.length) return;
+
+                const title = $titleLink.text().trim();
+                const topicId = $titleLink.attr('href')?.match(/t=(\d+)/)?.[1];
+
+                if (!topicId) return;
+
+                // В data-ts_text размер в байтах
+                const $size = $row.find('td.tor-size');
+                const sizeBytes = parseInt($size.attr('data-ts_text'));
+                const sizeText = sizeBytes ? TorrentUtils.formatBytes(sizeBytes) : $size.text().trim();
+
+                const seeders = parseInt($row.find('.seedmed').text()) || 0;
+
+                topics.push({
+                    title,
+                    size: sizeText,
+                    seeders,
+                    quality: ReleaseParser.getQuality(title),
+                    source: this.name,
+                    topicId
+                });
+            });
+
+            // Info hash есть только на странице раздачи
+            const results = await this.resolveTopics(topics, async topic => {
+                const magnet = await this.getMagnet(topic.topicId, page.cookie);
+                const infoHash = TorrentUtils.extractInfoHash(magnet);
+                return infoHash ? { ...topic, infoHash, magnet } : null;
+            }, params.topicPages);
+
+            console.log(`RuTracker: найдено ${results.length} результатов`);
+            return results;
+
+        } catch (error) {
+            console.error('Ошибка поиска на RuTracker:', error.message);
+            return [];
+        }
+    }
+
+    async authorize(login, password) {
+        const cookies = await this.postLogin('/forum/login.php', {
+            login_username: login,
+            login_password: password,
+            login: 'Вход'
+        });
+
+        return cookies.find(pair => pair.startsWith('bb_session=')) || null;
+    }
+
+    /**
+     * Получение магнет-ссылки со страницы раздачи
+     * @param {string} topicId - ID темы
+     * @param {string} cookie - Cookie сессии
+     * @returns {Promise<string|null>} Магнет-ссылка
+     */
+    async getMagnet(topicId, cookie) {
+        try {
+            const html = await this.fetchPage(`/forum/viewtopic.php?t=${topicId}`, cookie);
+            const $ = cheerio.load(html);
+
+            const magnet = $('a.magnet-link').attr('href') || $('a[href^="magnet:"]').attr('href');
+            return magnet || null;
+
+        } catch (error) {
+            console.error(`Ошибка загрузки раздачи RuTracker ${topicId}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = RutrackerTracker;
@@ -0,0 +1,67 @@
+const cheerio = require('cheerio');
+const BaseTracker = require('./baseTracker');
+const ReleaseParser = require('../releaseParser');
+const TorrentUtils = require('../utils');
+
+/**
+ * Torrent.by - магнет-ссылки есть прямо в результатах поиска
+ */
+class TorrentByTracker extends BaseTracker {
+    constructor(options = {}) {
+        super({
+            id: 'torrentby',
+            name: 'Torrent.by',
+            url: 'https://torrent.by',
+            encoding: 'utf-8'
+        }, options);
+    }
+
+    async search(query) {
+        try {
+            const html = await this.fetchPage(`/search/?search=${encodeURIComponent(query)}`);
+            const $ = cheerio.load(html);
+
+            const results = [];
+
+            $('tr').each((i, row) => {
+                const $row = $(row);
+                const magnet = $row.find('a[href^="magnet:"]').attr('href');
+
+                if (!magnet) return;
+
+                const infoHash = TorrentUtils.extractInfoHash(magnet);
+                if (!infoHash) return;
+
+                // Название - самая длинная ссылка на страницу раздачи
+                const title = $row.find('a[href^="/"]').toArray()
+                    .map(link => $(link).text().trim())
+                    .reduce((longest, text) => text.length > longest.length ? text : longest, '');
+
+                if (!title) return;
+
+                const cells = $row.find('td').toArray().map(cell => $(cell).text().trim());
+                const sizeText = cells.find(text => /^\d+(\.\d+)?\s*(KB|MB|GB|TB|КБ|МБ|ГБ|ТБ)$/i.test(text)) || null;
+                const seeders = parseInt($row.find('.green, .seeders').first().text()) || 0;
+
+                results.push({
+                    title,
+                    infoHash,
+                    size: sizeText,
+                    seeders,
+                    quality: ReleaseParser.getQuality(title),
+                    source: this.name,
+                    magnet
+                });
+            });
+
+            console.log(`Torrent.by: найдено ${results.length} результатов`);
+            return results;
+
+        } catch (error) {
+            console.error('Ошибка поиска на Torrent.by:', error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = TorrentByTracker;
@@ -3,6 +3,13 @@
  */
 
 const crypto = require('crypto');
+const ReleaseParser = require('./releaseParser');
+
+// Категории Newznab для аниме: без них по ромадзи находятся книги, музыка и игры
+const ANIME_CATEGORIES = {
+    movie: [2000, 5070],
+    series: [5070]
+};
 
 class TorrentUtils {
     /**
@@ -48,6 +55,57 @@ class TorrentUtils {
         return magnet;
     }
 
+    /**
+     * Поисковый запрос: название, год, для сериалов - S01E02
+     * @param {string} title - Название
+     * @param {Object} params - Параметры поиска: year, season, episode
+     * @returns {string} Запрос
+     */
+    static buildSearchQuery(title, { year, season, episode } = {}) {
+        let query = title;
+        if (year) query += ` ${year}`;
+        if (season) {
+            query += ` S${season.toString().padStart(2, '0')}`;
+            if (episode) query += `E${episode.toString().padStart(2, '0')}`;
+        }
+        return query;
+    }
+
+    /**
+     * Поисковые запросы по одному названию: для серии - сама серия и весь сезон.
+     * Русские раздачи сезонов подписаны "Сезон: 1 / Серии: 1-10 из 10" и по S01E02 не находятся
+     * @param {string} title - Название
+     * @param {Object} params - Параметры поиска: type, year, season, episode
+     * @returns {Array<string>} Запросы без повторов
+     */
+    static buildSearchQueries(title, { type, year, season, episode } = {}) {
+        if (type !== 'series') {
+            return [this.buildSearchQuery(title, { year })];
+        }
+
+        // Аниме без сезона: раздачи подписаны "Title - 05" или "[01-12]", ищем по названию
+        if (!season) {
+            return [title];
+        }
+
+        // Год сериала - год первого сезона, в названиях раздач следующих сезонов его нет
+        const seasonQuery = /[а-яё]/i.test(title)
+            ? `${title} ${season} сезон`
+            : this.buildSearchQuery(title, { season });
+
+        return [this.buildSearchQuery(title, { season, episode }), seasonQuery]
+            .filter((query, i, all) => all.indexOf(query) === i);
+    }
+
+    /**
+     * Категории индексаторов для поиска
+     * @param {Object} params - Параметры поиска: type, anime
+     * @returns {Array<number>|null} ID категорий Newznab или null - искать везде
+     */
+    static getCategories({ type, anime } = {}) {
+        return anime ? ANIME_CATEGORIES[type] || null : null;
+    }
+
     /**
      * Нормализация размера файла
      * @param {string|number} size - Размер в различных форматах
@@ -76,24 +134,30 @@ class TorrentUtils {
 
     /**
      * Преобразование строки размера в байты
-     * @param {string} sizeStr - Строка с размером
+     * @param {string|number} sizeStr - Строка с размером: "1.46 GB", "1,46 ГБ", "700 MiB" или число байт
      * @returns {number|null} Размер в байтах
      */
     static parseSize(sizeStr) {
+        if (typeof sizeStr === 'number') return sizeStr;
         if (!sizeStr) return null;
         
-        const match = sizeStr.match(/(\d+\.?\d*)\s*(B|KB|MB|GB|TB)/i);
+        const match = String(sizeStr).match(/(\d+(?:[.,]\d+)?)\s*(B|KB|MB|GB|TB|KiB|MiB|GiB|TiB|Б|КБ|МБ|ГБ|ТБ)(?![a-zа-я])/i);
         if (!match) return null;
         
-        const value = parseFloat(match[1]);
-        const unit = match[2].toUpperCase();
+        const value = parseFloat(match[1].replace(',', '.'));
+        const unit = match[2].toUpperCase().replace('I', '');
         
         const multipliers = {
             'B': 1,
             'KB': 1024,
             'MB': 1024 * 1024,
             'GB': 1024 * 1024 * 1024,
-            'TB': 1024 * 1024 * 1024 * 1024
+            'TB': 1024 * 1024 * 1024 * 1024,
+            'Б': 1,
+            'КБ': 1024,
+            'МБ': 1024 * 1024,
+            'ГБ': 1024 * 1024 * 1024,
+            'ТБ': 1024 * 1024 * 1024 * 1024
         };
         
         return Math.floor(value * multipliers[unit]);
@@ -118,79 +182,10 @@ class TorrentUtils {
     /**
      * Определение качества из названия торрента
      * @param {string} title - Название торрента
-     * @returns {Object} Объект с информацией о качестве
+     * @returns {Object} Разобранный релиз (см. ReleaseParser.parse)
      */
     static parseQuality(title) {
-        const titleLower = title.toLowerCase();
-        
-        const quality = {
-            resolution: null,
-            source: null,
-            codec: null,
-            audio: null,
-            hdr: false
-        };
-
-        // Разрешение
-        if (titleLower.includes('2160p') || titleLower.includes('4k') || titleLower.includes('uhd')) {
-            quality.resolution = '4K';
-        } else if (titleLower.includes('1080p')) {
-            quality.resolution = '1080p';
-        } else if (titleLower.includes('720p')) {
-            quality.resolution = '720p';
-        } else if (titleLower.includes('480p')) {
-            quality.resolution = '480p';
-        }
-
-        // Источник
-        if (titleLower.includes('remux')) {
-            quality.source = 'REMUX';
-        } else if (titleLower.includes('bluray') || titleLower.includes('bdrip') || titleLower.includes('brrip')) {
-            quality.source = 'BluRay';
-        } else if (titleLower.includes('web-dl') || titleLower.includes('webdl')) {
-            quality.source = 'WEB-DL';
-        } else if (titleLower.includes('webrip')) {
-            quality.source = 'WEBRip';
-        } else if (titleLower.includes('hdtv')) {
-            quality.source = 'HDTV';
-        } else if (titleLower.includes('dvdrip')) {
-            quality.source = 'DVDRip';
-        } else if (titleLower.includes('cam') || titleLower.includes('camrip')) {
-            quality.source = 'CAM';
-        } else if (titleLower.includes('ts') || titleLower.includes('telesync')) {
-            quality.source = 'TS';
-        }
-
-        // Кодек
-        if (titleLower.includes('hevc') || titleLower.includes('h265') || titleLower.includes('x265')) {
-            quality.codec = 'HEVC';
-        } else if (titleLower.includes('h264') || titleLower.includes('x264') || titleLower.includes('avc')) {
-            quality.codec = 'H.264';
-        } else if (titleLower.includes('av1')) {
-            quality.codec = 'AV1';
-        }
-
-        // Аудио
-        if (titleLower.includes('atmos')) {
-            quality.audio = 'Dolby Atmos';
-        } else if (titleLower.includes('truehd')) {
-            quality.audio = 'TrueHD';
-        } else if (titleLower.includes('dts-hd') || titleLower.includes('dts-ma')) {
-            quality.audio = 'DTS-HD';
-        } else if (titleLower.includes('dts')) {
-            quality.audio = 'DTS';
-        } else if (titleLower.includes('dd5.1') || titleLower.includes('ac3')) {
-            quality.audio = 'DD 5.1';
-        } else if (titleLower.includes('aac')) {
-            quality.audio = 'AAC';
-        }
-
-        // HDR
-        if (titleLower.includes('hdr') || titleLower.includes('hdr10') || titleLower.includes('dolby vision') || titleLower.includes('dv')) {
-            quality.hdr = true;
-        }
-
-        return quality;
+        return ReleaseParser.parse(title);
     }
 
     /**
@@ -205,124 +200,77 @@ class TorrentUtils {
         if (q.resolution) parts.push(q.resolution);
         if (q.source) parts.push(q.source);
         if (q.codec) parts.push(q.codec);
-        if (q.hdr) parts.push('HDR');
+        if (q.hdr) parts.push(q.hdr);
+        if (q.dolbyVision) parts.push('DV');
 
         return parts.join(' | ') || 'Unknown';
     }
 
     /**
-     * Поиск эпизода в списке файлов
-     * @param {Array} files - Список файлов
-     * @param {number} season - Номер сезона
-     * @param {number} episode - Номер эпизода
-     * @returns {number|null} Индекс файла (1-based) или null
+     * Проверка, является ли файл видео по расширению
+     * @param {string} name - Имя или путь файла
+     * @returns {boolean} True если видео файл
      */
-    static findEpisodeFile(files, season, episode) {
-        const videoExts = ['.mkv', '.mp4', '.avi', '.mov', '.wmv'];
-        
-        // Паттерны для поиска
-        const patterns = [
-            new RegExp(`s0*${season}e0*${episode}(?!\\d)`, 'i'),           // S01E01, s1e1
-            new RegExp(`\\b${season}x0*${episode}(?!\\d)`, 'i'),           // 1x01
-            new RegExp(`season\\s*0*${season}.*episode\\s*0*${episode}`, 'i'), // Season 1 Episode 1
-            new RegExp(`сезон\\s*0*${season}.*серия\\s*0*${episode}`, 'i')     // Сезон 1 Серия 1
-        ];
-
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const name = (file.path || file.name || '').toLowerCase();
-            
-            // Проверка расширения
-            const isVideo = videoExts.some(ext => name.endsWith(ext));
-            if (!isVideo) continue;
-            
-            // Проверка паттернов
-            const matches = patterns.some(pattern => pattern.test(name));
-            if (matches) {
-                return i + 1; // Real-Debrid использует 1-based индекс
-            }
-        }
-        
-        // Если не нашли, вернуть первый видео файл
-        for (let i = 0; i < files.length; i++) {
-            const name = (files[i].path || files[i].name || '').toLowerCase();
-            if (videoExts.some(ext => name.endsWith(ext))) {
-                return i + 1;
-            }
-        }
-        
-        return null;
-    }
+    static isVideoFile(name) {
+        const videoExts = ['.mkv', '.mp4', '.avi', '.mov', '.wmv', '.m4v', '.ts', '.m2ts'];
+        const nameLower = (name || '').toLowerCase();
 
-    /**
-     * Проверка, является ли релиз качественным
-     * @param {string} title - Название релиза
-     * @returns {boolean} True если качественный
-     */
-    static isGoodQuality(title) {
-        const titleLower = title.toLowerCase();
-        
-        // Хорошие признаки
-        const goodKeywords = ['1080p', '720p', '4k', '2160p', 'bluray', 'web-dl', 'webrip', 'remux'];
-        const hasGood = goodKeywords.some(keyword => titleLower.includes(keyword));
-        
-        // Плохие признаки
-        const badKeywords = ['cam', 'ts', 'telesync', 'hdcam', 'sample', 'trailer'];
-        const hasBad = badKeywords.some(keyword => titleLower.includes(keyword));
-        
-        return hasGood && !hasBad;
+        return videoExts.some(ext => nameLower.endsWith(ext));
     }
 
     /**
-     * Фильтрация дубликатов по info hash
+     * Объединение дубликатов по info hash.
+     * У каждой раздачи остаются самые полные данные из всех источников и список источников в sources
      * @param {Array} torrents - Массив торрентов
-     * @returns {Array} Уникальные торренты
+     * @returns {Array} Уникальные торренты в порядке первого появления
      */
     static removeDuplicates(torrents) {
-        const seen = new Set();
-        return torrents.filter(torrent => {
-            if (!torrent.infoHash) return true;
+        const byHash = new Map();
+        const result = [];
+        
+        torrents.forEach(torrent => {
+            if (!torrent.infoHash) {
+                result.push(torrent);
+                return;
+            }
             
             const hash = torrent.infoHash.toUpperCase();
-            if (seen.has(hash)) {
-                return false;
+            const sources = torrent.sources || [torrent.source].filter(Boolean);
+            const existing = byHash.get(hash);
+            
+            if (!existing) {
+                const merged = { ...torrent, infoHash: hash, sources: [...sources] };
+                byHash.set(hash, merged);
+                result.push(merged);
+                return;
             }
             
-            seen.add(hash);
-            return true;
-        });
-    }
-
-    /**
-     * Сортировка торрентов по приоритету
-     * @param {Array} torrents - Массив торрентов
-     * @returns {Array} Отсортированные торренты
-     */
-    static sortByPriority(torrents) {
-        const qualityPriority = {
-            '4K': 100,
-            'REMUX': 95,
-            '2160p': 90,
-            '1080p': 80,
-            'BluRay': 70,
-            '720p': 60,
-            'WEB-DL': 65,
-            'WEBRip': 60,
-            'HDTV': 50,
-            '480p': 40
-        };
-
-        return torrents.sort((a, b) => {
-            // Сначала по количеству сидов
-            const seedDiff = (b.seeders || 0) - (a.seeders || 0);
-            if (Math.abs(seedDiff) > 10) return seedDiff;
+            // Заполняем недостающие поля
+            Object.keys(torrent).forEach(key => {
+                const value = existing[key];
+                if (value === null || value === undefined || value === '' || value === 'Unknown') {
+                    existing[key] = torrent[key];
+                }
+            });
+            
+            existing.seeders = Math.max(existing.seeders || 0, torrent.seeders || 0);
+            existing.peers = Math.max(existing.peers || 0, torrent.peers || 0);
             
-            // Затем по качеству
-            const aPriority = qualityPriority[a.quality] || 0;
-            const bPriority = qualityPriority[b.quality] || 0;
+            // Названия с русских трекеров длиннее и содержат озвучку и качество
+            if (torrent.title && torrent.title.length > (existing.title || '').length) {
+                existing.title = torrent.title;
+            }
+            
+            if (torrent.files && torrent.files.length > (existing.files || []).length) {
+                existing.files = torrent.files;
+            }
             
-            return bPriority - aPriority;
+            sources.forEach(source => {
+                if (!existing.sources.includes(source)) existing.sources.push(source);
+            });
         });
+        
+        return result;
     }
 }
 
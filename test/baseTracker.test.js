@@ -0,0 +1,89 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const BaseTracker = require('../lib/trackers/baseTracker');
+const RutrackerTracker = require('../lib/trackers/rutracker');
+const AnilibriaTracker = require('../lib/trackers/anilibria');
+
+/**
+ * Трекер без сети: на каждый запрос - 10 раздач, ID зависят от смещения запроса
+ */
+class FakeTracker extends BaseTracker {
+    constructor(offsets) {
+        super({ id: 'fake', name: 'Fake', url: 'http://fake.test' });
+        this.offsets = offsets;
+        this.loaded = [];
+    }
+
+    async search(query, params = {}) {
+        const offset = this.offsets[query];
+        const topics = Array.from({ length: 10 }, (value, i) => ({
+            title: `${query} ${offset + i}`,
+            topicId: String(offset + i),
+            seeders: 100 - offset - i
+        }));
+
+        return this.resolveTopics(topics, async topic => {
+            this.loaded.push(topic.topicId);
+            return { ...topic, infoHash: topic.topicId.padStart(40, '0') };
+        }, params.topicPages);
+    }
+}
+
+describe('BaseTracker.searchAll', () => {
+    it('раздача, найденная несколькими запросами, загружается один раз', async () => {
+        // Запросы "S01E02" и "1 сезон" находят одни и те же раздачи 0-9
+        const tracker = new FakeTracker({ 'Шоу S01E02': 0, 'Шоу 1 сезон': 0 });
+        const results = await tracker.searchAll([
+            { title: 'Шоу', query: 'Шоу S01E02' },
+            { title: 'Шоу', query: 'Шоу 1 сезон' }
+        ]);
+
+        assert.equal(tracker.loaded.length, 10);
+        assert.equal(new Set(tracker.loaded).size, 10);
+        assert.equal(results.length, 10);
+    });
+
+    it('всего загружается не больше 15 страниц раздач на все запросы', async () => {
+        const tracker = new FakeTracker({ a: 0, b: 10, c: 20, d: 30 });
+        await tracker.searchAll(['a', 'b', 'c', 'd'].map(query => ({ title: query, query })));
+
+        assert.equal(tracker.loaded.length, 15);
+    });
+
+    it('без searchAll лимит действует на один запрос', async () => {
+        const tracker = new FakeTracker({ a: 0 });
+        const results = await tracker.search('a');
+
+        assert.equal(results.length, 10);
+    });
+});
+
+describe('BaseTracker.encodeValue', () => {
+    it('русский запрос кодируется в windows-1251', () => {
+        const tracker = new RutrackerTracker();
+        assert.equal(tracker.encodeValue('Дюна 2021'), '%C4%FE%ED%E0%202021');
+    });
+
+    it('UTF-8 трекер кодирует как encodeURIComponent', () => {
+        const tracker = new FakeTracker({});
+        assert.equal(tracker.encodeValue('Дюна 2021'), encodeURIComponent('Дюна 2021'));
+    });
+});
+
+describe('AnilibriaTracker.searchAll', () => {
+    it('один запрос к API на каждое название, а не на каждый поисковый запрос', async () => {
+        const get = mock.method(axios, 'get', async () => ({ data: { list: [] } }));
+        mock.method(console, 'log', () => {});
+
+        await new AnilibriaTracker().searchAll([
+            { title: 'Фрирен', query: 'Фрирен S01E05' },
+            { title: 'Фрирен', query: 'Фрирен 1 сезон' },
+            { title: 'Frieren', query: 'Frieren S01E05' },
+            { title: 'Frieren', query: 'Frieren S01' }
+        ]);
+
+        assert.deepEqual(get.mock.calls.map(call => call.arguments[1].params.search), ['Фрирен', 'Frieren']);
+        mock.restoreAll();
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Тесты работают с кэшем в памяти
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+
+const { CACHE_TTL, getCacheStore, remember, rememberStale, coalesce } = require('../lib/cache');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Медленная загрузка со счетчиком вызовов
+ */
+function slowLoad(value, ms = 50) {
+    const load = async () => {
+        load.calls++;
+        await delay(ms);
+        return typeof value === 'function' ? value(load.calls) : value;
+    };
+    load.calls = 0;
+    return load;
+}
+
+describe('coalesce', () => {
+    it('одновременные вызовы ждут одну загрузку', async () => {
+        const load = slowLoad('streams');
+
+        const results = await Promise.all([
+            coalesce('test:coalesce', load),
+            coalesce('test:coalesce', load),
+            coalesce('test:coalesce', load)
+        ]);
+
+        assert.equal(load.calls, 1);
+        assert.deepEqual(results, ['streams', 'streams', 'streams']);
+    });
+
+    it('после завершения загрузка выполняется заново', async () => {
+        const load = slowLoad(calls => calls, 5);
+
+        assert.equal(await coalesce('test:coalesce-again', load), 1);
+        assert.equal(await coalesce('test:coalesce-again', load), 2);
+    });
+
+    it('ошибку получают все ожидающие, следующий вызов загружает заново', async () => {
+        let calls = 0;
+        const failing = async () => {
+            calls++;
+            await delay(10);
+            throw new Error('трекер недоступен');
+        };
+
+        const results = await Promise.allSettled([
+            coalesce('test:coalesce-error', failing),
+            coalesce('test:coalesce-error', failing)
+        ]);
+
+        assert.equal(calls, 1);
+        assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+
+        assert.equal(await coalesce('test:coalesce-error', async () => 'ok'), 'ok');
+    });
+});
+
+describe('remember', () => {
+    it('одновременные промахи - одна загрузка, повтор - из кэша', async () => {
+        const load = slowLoad(['a']);
+
+        await Promise.all([
+            remember('test:remember', 60, load),
+            remember('test:remember', 60, load)
+        ]);
+        assert.deepEqual(await remember('test:remember', 60, load), ['a']);
+
+        assert.equal(load.calls, 1);
+    });
+
+    it('null не кэшируется', async () => {
+        const load = slowLoad(null, 1);
+
+        await remember('test:remember-null', 60, load);
+        await remember('test:remember-null', 60, load);
+
+        assert.equal(load.calls, 2);
+    });
+});
+
+describe('rememberStale', () => {
+    let cache;
+
+    before(() => {
+        cache = getCacheStore();
+    });
+
+    it('одновременные запросы без кэша - одна загрузка', async () => {
+        const load = slowLoad(['stream']);
+
+        const results = await Promise.all([
+            rememberStale('test:stale-miss', CACHE_TTL.streams, load),
+            rememberStale('test:stale-miss', CACHE_TTL.streams, load)
+        ]);
+
+        assert.equal(load.calls, 1);
+        assert.deepEqual(results, [['stream'], ['stream']]);
+    });
+
+    it('свежее значение отдается без загрузки', async () => {
+        await cache.set('test:stale-fresh', { value: ['cached'], freshUntil: Date.now() + 60000 }, 60);
+        const load = slowLoad(['new']);
+
+        assert.deepEqual(await rememberStale('test:stale-fresh', 60, load), ['cached']);
+        assert.equal(load.calls, 0);
+    });
+
+    it('устаревшее значение отдается сразу, обновление идет в фоне', async () => {
+        await cache.set('test:stale', { value: ['old'], freshUntil: Date.now() - 1000 }, 60);
+        const load = slowLoad(['new'], 100);
+
+        const started = Date.now();
+        const value = await rememberStale('test:stale', 60, load);
+
+        assert.deepEqual(value, ['old']);
+        assert.ok(Date.now() - started < 100, 'ответ не ждет медленную загрузку');
+        assert.equal(load.calls, 1);
+
+        // Повторный запрос во время обновления не запускает вторую загрузку
+        assert.deepEqual(await rememberStale('test:stale', 60, load), ['old']);
+        assert.equal(load.calls, 1);
+
+        await delay(150);
+        assert.deepEqual(await rememberStale('test:stale', 60, load), ['new']);
+        assert.equal(load.calls, 1);
+    });
+
+    it('ошибка фонового обновления оставляет устаревшее значение', async () => {
+        await cache.set('test:stale-error', { value: ['old'], freshUntil: Date.now() - 1000 }, 60);
+        const failing = async () => {
+            throw new Error('таймаут');
+        };
+
+        assert.deepEqual(await rememberStale('test:stale-error', 60, failing), ['old']);
+        await delay(10);
+        assert.deepEqual(await rememberStale('test:stale-error', 60, failing), ['old']);
+    });
+});
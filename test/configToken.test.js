@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { encodeConfig, decodeConfig, encryptConfig, decryptConfig, mergeSecrets } = require('../lib/configToken');
+
+const config = { debridProvider: 'realdebrid', debridApiKey: 'ABCDEFGHIJKLMNOP', trackers: 'rutracker,kinozal' };
+
+/**
+ * Токен с измененным байтом данных: смещение от начала или с конца (тег)
+ */
+function tamper(token, offset) {
+    const [version, data] = token.split('.');
+    const payload = Buffer.from(data, 'base64url');
+    const index = offset >= 0 ? offset : payload.length + offset;
+    payload[index] ^= 0x01;
+    return `${version}.${payload.toString('base64url')}`;
+}
+
+describe('configToken: шифрование', () => {
+    beforeEach(() => {
+        process.env.CONFIG_SECRET = 'test-secret';
+    });
+
+    afterEach(() => {
+        delete process.env.CONFIG_SECRET;
+    });
+
+    it('зашифрованный токен расшифровывается в ту же конфигурацию', () => {
+        const { segment, encrypted } = encodeConfig(config);
+
+        assert.equal(encrypted, true);
+        assert.match(segment, /^v1\.[A-Za-z0-9_-]+$/);
+        assert.ok(!segment.includes('ABCDEFGHIJKLMNOP'));
+        assert.deepEqual(decodeConfig(segment), config);
+    });
+
+    it('одна конфигурация дает разные токены', () => {
+        assert.notEqual(encryptConfig(config), encryptConfig(config));
+    });
+
+    it('измененный шифротекст или тег отклоняется', () => {
+        const token = encryptConfig(config);
+
+        // 12 байт IV, дальше шифротекст, последние 16 - тег
+        assert.throws(() => decryptConfig(tamper(token, 12)));
+        assert.throws(() => decryptConfig(tamper(token, -1)));
+        assert.equal(decodeConfig(tamper(token, 12)), null);
+    });
+
+    it('обрезанный токен отклоняется', () => {
+        assert.throws(() => decryptConfig('v1.AAAA'), /поврежден/);
+    });
+
+    it('другая версия формата отклоняется', () => {
+        const token = encryptConfig(config);
+
+        assert.throws(() => decryptConfig(token.replace(/^v1\./, 'v2.')), /версия/);
+    });
+
+    it('данные v1 под другой версией в AAD не расшифровываются', () => {
+        // Токен с той же полезной нагрузкой, но версия в AAD не совпадает с префиксом
+        const key = crypto.createHash('sha256').update('test-secret').digest();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from('v2'));
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(config)), cipher.final()]);
+        const token = `v1.${Buffer.concat([iv, encrypted, cipher.getAuthTag()]).toString('base64url')}`;
+
+        assert.throws(() => decryptConfig(token));
+    });
+
+    it('токен с другим секретом не расшифровывается', () => {
+        const token = encryptConfig(config);
+        process.env.CONFIG_SECRET = 'other-secret';
+
+        assert.equal(decodeConfig(token), null);
+    });
+});
+
+describe('configToken: без секрета', () => {
+    beforeEach(() => {
+        delete process.env.CONFIG_SECRET;
+    });
+
+    it('конфигурация в base64url JSON', () => {
+        const { segment, encrypted } = encodeConfig(config);
+
+        assert.equal(encrypted, false);
+        assert.deepEqual(JSON.parse(Buffer.from(segment, 'base64url').toString()), config);
+        assert.deepEqual(decodeConfig(segment), config);
+    });
+
+    it('старые URL с base64 JSON', () => {
+        const segment = Buffer.from(JSON.stringify({ rdApiKey: 'ABCDEFGHIJKLMNOP' })).toString('base64');
+        assert.deepEqual(decodeConfig(segment), { rdApiKey: 'ABCDEFGHIJKLMNOP' });
+    });
+
+    it('голый API ключ Real-Debrid в старых URL', () => {
+        const apiKey = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567ABCDEFGHIJKLMNOPQRST';
+        assert.deepEqual(decodeConfig(apiKey), { rdApiKey: apiKey });
+    });
+
+    it('короткий сегмент - путь, а не конфигурация', () => {
+        assert.equal(decodeConfig('stream'), null);
+    });
+
+    it('токен v1 без CONFIG_SECRET не расшифровывается', () => {
+        assert.equal(decodeConfig('v1.AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'), null);
+    });
+});
+
+describe('mergeSecrets', () => {
+    const saved = { debridProvider: 'realdebrid', debridApiKey: 'KEY', rutrackerLogin: 'me', rutrackerPassword: 'PASS' };
+
+    it('пустые секреты берутся из текущей конфигурации', () => {
+        const merged = mergeSecrets({ debridProvider: 'realdebrid', rutrackerLogin: 'me', minSeeders: '5' }, saved);
+        assert.deepEqual(merged, { debridProvider: 'realdebrid', rutrackerLogin: 'me', minSeeders: '5', debridApiKey: 'KEY', rutrackerPassword: 'PASS' });
+    });
+
+    it('введенный секрет заменяет сохраненный, обычные поля не переносятся', () => {
+        const merged = mergeSecrets({ debridProvider: 'realdebrid', rutrackerPassword: 'NEW' }, saved);
+        assert.equal(merged.rutrackerPassword, 'NEW');
+        assert.equal(merged.rutrackerLogin, undefined);
+    });
+
+    it('ключ другого debrid-сервиса не переносится', () => {
+        assert.equal(mergeSecrets({ debridProvider: 'alldebrid' }, saved).debridApiKey, undefined);
+    });
+
+    it('rdApiKey старых установок становится debridApiKey', () => {
+        assert.deepEqual(mergeSecrets({ debridProvider: 'realdebrid' }, { rdApiKey: 'OLD' }), { debridProvider: 'realdebrid', debridApiKey: 'OLD' });
+    });
+});
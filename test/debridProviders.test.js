@@ -0,0 +1,351 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Тесты работают с кэшем в памяти
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+
+const { createDebridClient } = require('../lib/debridProviders');
+
+// Логи клиентов в stdout дочернего процесса ломают протокол test runner в Node 20
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+/**
+ * Локальный mock-сервер API: маршруты вида { 'GET /path': ({ query, body }) => ответ }
+ * @param {Object} routes - Обработчики запросов
+ * @returns {Promise<Object>} { baseURL, requests, close }
+ */
+function startServer(routes) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: url.searchParams,
+                body: new URLSearchParams(data),
+                headers: req.headers
+            };
+            requests.push(request);
+
+            const route = routes[`${req.method} ${url.pathname}`];
+            res.setHeader('Content-Type', 'application/json');
+            if (!route) {
+                res.statusCode = 404;
+                res.end(JSON.stringify({ error: 'not found' }));
+                return;
+            }
+
+            res.end(JSON.stringify(route(request)));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            baseURL: `http://127.0.0.1:${server.address().port}`,
+            requests,
+            close: () => {
+                server.closeAllConnections();
+                return new Promise(done => server.close(done));
+            }
+        }));
+    });
+}
+
+const GB = 1024 * 1024 * 1024;
+
+describe('Real-Debrid', () => {
+    const hash = 'A1'.repeat(20);
+    const convertingHash = 'A2'.repeat(20);
+    let api;
+    let selected = null;
+
+    const isSelected = id => selected !== null && selected.split(',').includes(String(id)) ? 1 : 0;
+    const torrentFiles = () => [
+        { id: 1, path: '/Show/Show.S01E01.mkv', bytes: 2 * GB, selected: isSelected(1) },
+        { id: 2, path: '/Show/Show.S01E02.mkv', bytes: 2 * GB, selected: isSelected(2) },
+        { id: 3, path: '/Show/Sample/sample.mkv', bytes: 10, selected: isSelected(3) },
+        { id: 4, path: '/Show/Show.nfo', bytes: 1, selected: isSelected(4) }
+    ];
+
+    before(async () => {
+        api = await startServer({
+            [`GET /torrents/instantAvailability/${hash}`]: () => ({
+                [hash.toLowerCase()]: {
+                    rd: [{
+                        1: { filename: 'Show.S01E01.mkv', filesize: 2 * GB },
+                        2: { filename: 'Show.S01E02.mkv', filesize: 2 * GB }
+                    }]
+                }
+            }),
+            'GET /torrents': () => selected ? [{ id: 'RD1', hash: hash.toLowerCase(), status: 'downloaded' }] : [],
+            'POST /torrents/addMagnet': ({ body }) => ({ id: body.get('magnet').includes(hash) ? 'RD1' : 'RD2' }),
+            'GET /torrents/info/RD1': () => selected
+                ? { id: 'RD1', status: 'downloaded', progress: 100, files: torrentFiles(), links: ['https://real-debrid.com/d/EP1', 'https://real-debrid.com/d/EP2'] }
+                : { id: 'RD1', status: 'waiting_files_selection', files: torrentFiles() },
+            'GET /torrents/info/RD2': () => ({ id: 'RD2', status: 'magnet_conversion', files: [] }),
+            'POST /torrents/selectFiles/RD1': ({ body }) => {
+                selected = body.get('files');
+                return {};
+            },
+            'POST /unrestrict/link': ({ body }) => ({ download: `https://download.test/${body.get('link').split('/').pop()}` })
+        });
+    });
+
+    after(() => api.close());
+
+    it('доступность: ID файлов - ключи варианта, index = ID - 1', async () => {
+        const client = createDebridClient({ debridProvider: 'realdebrid', debridApiKey: 'rd-key' }, { baseURL: api.baseURL });
+        const availability = await client.checkAvailabilityBatch([hash]);
+
+        assert.equal(availability[hash].available, true);
+        assert.deepEqual(
+            availability[hash].files.map(file => [file.id, file.index, file.path]),
+            [[1, 0, 'Show.S01E01.mkv'], [2, 1, 'Show.S01E02.mkv']]
+        );
+        assert.equal(api.requests[0].headers.authorization, 'Bearer rd-key');
+    });
+
+    it('ссылка: магнет добавляется, выбираются запрошенный файл и остальные видео без сэмпла', async () => {
+        const client = createDebridClient({ debridProvider: 'realdebrid', debridApiKey: 'rd-key' }, { baseURL: api.baseURL });
+        const result = await client.getStreamLink(hash, 2);
+
+        assert.equal(selected, '2,1');
+        assert.equal(result.status, 'downloaded');
+        assert.equal(result.url, 'https://download.test/EP2');
+
+        const magnet = api.requests.find(request => request.path === '/torrents/addMagnet').body.get('magnet');
+        assert.ok(magnet.includes(hash));
+    });
+
+    it('ссылка: следующая серия берется из уже добавленного торрента', async () => {
+        const client = createDebridClient({ debridProvider: 'realdebrid', debridApiKey: 'rd-key' }, { baseURL: api.baseURL });
+        const added = api.requests.filter(request => request.path === '/torrents/addMagnet').length;
+
+        const result = await client.getStreamLink(hash, 1);
+
+        assert.equal(result.url, 'https://download.test/EP1');
+        assert.equal(api.requests.filter(request => request.path === '/torrents/addMagnet').length, added);
+    });
+
+    it('ожидание статуса ограничено по времени', async () => {
+        const client = createDebridClient({ debridProvider: 'realdebrid', debridApiKey: 'rd-key' }, { baseURL: api.baseURL });
+        client.pollTimeout = 1500;
+
+        const started = Date.now();
+        const result = await client.getStreamLink(convertingHash, null);
+
+        assert.equal(result.status, 'magnet_conversion');
+        assert.equal(result.failed, false);
+        assert.equal(result.url, null);
+        assert.ok(Date.now() - started < 2500);
+        assert.equal(api.requests.filter(request => request.path === '/torrents/info/RD2').length, 2);
+    });
+});
+
+describe('AllDebrid', () => {
+    const hash = 'B2'.repeat(20);
+    let api;
+
+    before(async () => {
+        api = await startServer({
+            'GET /magnet/instant': () => ({
+                status: 'success',
+                data: {
+                    magnets: [{
+                        hash: hash.toLowerCase(),
+                        instant: true,
+                        files: [{
+                            n: 'Movie',
+                            e: [
+                                { n: 'RARBG.txt', s: 30 },
+                                { n: 'Sample', e: [{ n: 'sample.mkv', s: 50 * 1024 * 1024 }] },
+                                { n: 'Movie.2010.1080p.mkv', s: 8 * GB }
+                            ]
+                        }]
+                    }]
+                }
+            }),
+            'GET /magnet/upload': () => ({ status: 'success', data: { magnets: [{ id: 77, hash }] } }),
+            'GET /magnet/status': ({ query }) => query.get('id')
+                ? {
+                    status: 'success',
+                    data: {
+                        magnets: {
+                            id: 77,
+                            status: 'Ready',
+                            statusCode: 4,
+                            // Ссылки в другом порядке, чем файлы в проверке кэша
+                            links: [
+                                { filename: 'Movie.2010.1080p.mkv', size: 8 * GB, link: 'https://alldebrid.com/f/movie' },
+                                { filename: 'sample.mkv', size: 50 * 1024 * 1024, link: 'https://alldebrid.com/f/sample' },
+                                { filename: 'RARBG.txt', size: 30, link: 'https://alldebrid.com/f/txt' }
+                            ]
+                        }
+                    }
+                }
+                : { status: 'success', data: { magnets: [] } },
+            'GET /link/unlock': ({ query }) => ({ status: 'success', data: { link: `${query.get('link')}/unlocked` } })
+        });
+    });
+
+    after(() => api.close());
+
+    it('доступность: дерево файлов разворачивается в пути', async () => {
+        const client = createDebridClient({ debridProvider: 'alldebrid', debridApiKey: 'ad-key' }, { baseURL: api.baseURL });
+        const availability = await client.checkAvailabilityBatch([hash]);
+
+        assert.deepEqual(
+            availability[hash].files.map(file => [file.id, file.path]),
+            [[1, '/Movie/RARBG.txt'], [2, '/Movie/Sample/sample.mkv'], [3, '/Movie/Movie.2010.1080p.mkv']]
+        );
+
+        const request = api.requests[0];
+        assert.equal(request.headers.authorization, 'Bearer ad-key');
+        assert.equal(request.query.get('agent'), 'stremio-russian-addon');
+    });
+
+    it('ссылка: файл из проверки кэша находится по имени и размеру', async () => {
+        const client = createDebridClient({ debridProvider: 'alldebrid', debridApiKey: 'ad-key' }, { baseURL: api.baseURL });
+        const result = await client.getStreamLink(hash, 3);
+
+        assert.equal(result.failed, false);
+        assert.equal(result.url, 'https://alldebrid.com/f/movie/unlocked');
+    });
+
+    it('ссылка: запрошенный не видео файл не отдается', async () => {
+        const client = createDebridClient({ debridProvider: 'alldebrid', debridApiKey: 'ad-key' }, { baseURL: api.baseURL });
+        const result = await client.getStreamLink(hash, 1);
+
+        assert.equal(result.url, 'https://alldebrid.com/f/movie/unlocked');
+    });
+});
+
+describe('Premiumize', () => {
+    const hash = 'C3'.repeat(20);
+    const seasonHash = 'C5'.repeat(20);
+    let api;
+
+    before(async () => {
+        api = await startServer({
+            'GET /cache/check': () => ({
+                status: 'success',
+                response: [true],
+                transcoded: [false],
+                filename: ['Movie.2010.1080p.mkv'],
+                filesize: [String(8 * GB)]
+            }),
+            'POST /transfer/directdl': ({ body }) => body.get('src').includes(seasonHash) ? {
+                status: 'success',
+                content: [
+                    { path: 'Show.S01/Show.S01E01.mkv', size: 2 * GB, link: 'https://premiumize.test/e01' },
+                    { path: 'Show.S01/Show.S01E02.mkv', size: 2 * GB, link: 'https://premiumize.test/e02' }
+                ]
+            } : {
+                status: 'success',
+                content: [
+                    { path: 'Movie/RARBG.txt', size: 30, link: 'https://premiumize.test/txt' },
+                    { path: 'Movie/Sample/sample.mkv', size: 50 * 1024 * 1024, link: 'https://premiumize.test/sample' },
+                    { path: 'Movie/Movie.2010.1080p.mkv', size: 8 * GB, link: 'https://premiumize.test/movie' }
+                ]
+            }
+        });
+    });
+
+    after(() => api.close());
+
+    it('доступность: только самый большой файл', async () => {
+        const client = createDebridClient({ debridProvider: 'premiumize', debridApiKey: 'pm-key' }, { baseURL: api.baseURL });
+        const availability = await client.checkAvailabilityBatch([hash]);
+
+        assert.deepEqual(
+            availability[hash].files.map(file => [file.id, file.path, file.size]),
+            [[1, 'Movie.2010.1080p.mkv', 8 * GB]]
+        );
+        assert.equal(availability[hash].partial, true);
+        assert.equal(api.requests[0].query.get('apikey'), 'pm-key');
+        assert.equal(api.requests[0].query.get('items[]'), hash);
+    });
+
+    it('ссылка: ID 1 из проверки кэша - фильм, а не первый файл раздачи', async () => {
+        const client = createDebridClient({ debridProvider: 'premiumize', debridApiKey: 'pm-key' }, { baseURL: api.baseURL });
+        const result = await client.getStreamLink(hash, 1);
+
+        assert.equal(result.url, 'https://premiumize.test/movie');
+
+        const directdl = api.requests.find(request => request.path === '/transfer/directdl');
+        assert.ok(directdl.body.get('src').includes(hash));
+    });
+
+    it('ссылка: серия из сезона выбирается по номеру, а не самый большой файл', async () => {
+        const client = createDebridClient({ debridProvider: 'premiumize', debridApiKey: 'pm-key' }, { baseURL: api.baseURL });
+
+        const result = await client.getStreamLink(seasonHash, null, { season: 1, episode: 2 });
+        assert.equal(result.url, 'https://premiumize.test/e02');
+
+        const missing = await client.getStreamLink(seasonHash, null, { season: 1, episode: 5 });
+        assert.equal(missing.failed, true);
+    });
+});
+
+describe('TorBox', () => {
+    const hash = 'D4'.repeat(20);
+    let api;
+
+    const files = [
+        { id: 0, name: 'Show/Show.S01E01.mkv', size: 2 * GB },
+        { id: 1, name: 'Show/Show.S01E02.mkv', size: 2 * GB }
+    ];
+
+    before(async () => {
+        api = await startServer({
+            'GET /torrents/checkcached': () => ({ success: true, data: [{ hash: hash.toLowerCase(), files }] }),
+            'GET /torrents/mylist': ({ query }) => query.get('id')
+                ? { success: true, data: { id: 55, hash, download_finished: true, download_state: 'cached', progress: 1, files } }
+                : { success: true, data: [] },
+            'POST /torrents/createtorrent': () => ({ success: true, data: { torrent_id: 55, hash } }),
+            'GET /torrents/requestdl': ({ query }) => ({
+                success: true,
+                data: `https://torbox.test/${query.get('torrent_id')}/${query.get('file_id')}`
+            })
+        });
+    });
+
+    after(() => api.close());
+
+    it('доступность: файлы нумеруются с 1', async () => {
+        const client = createDebridClient({ debridProvider: 'torbox', debridApiKey: 'tb-key' }, { baseURL: api.baseURL });
+        const availability = await client.checkAvailabilityBatch([hash]);
+
+        assert.deepEqual(
+            availability[hash].files.map(file => [file.id, file.path]),
+            [[1, 'Show/Show.S01E01.mkv'], [2, 'Show/Show.S01E02.mkv']]
+        );
+        assert.equal(api.requests[0].headers.authorization, 'Bearer tb-key');
+        assert.equal(api.requests[0].query.get('hash'), hash.toLowerCase());
+    });
+
+    it('ссылка: запрашивается ID файла TorBox', async () => {
+        const client = createDebridClient({ debridProvider: 'torbox', debridApiKey: 'tb-key' }, { baseURL: api.baseURL });
+        const result = await client.getStreamLink(hash, 2);
+
+        assert.equal(result.failed, false);
+        assert.equal(result.url, 'https://torbox.test/55/1');
+
+        const requestdl = api.requests.find(request => request.path === '/torrents/requestdl');
+        assert.equal(requestdl.query.get('token'), 'tb-key');
+    });
+});
@@ -0,0 +1,188 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FileSelector = require('../lib/fileSelector');
+const TorrentUtils = require('../lib/utils');
+
+const GB = 1024 * 1024 * 1024;
+
+describe('FileSelector.normalize', () => {
+    it('сохраняет id сервиса и index из файла', () => {
+        const files = FileSelector.normalize([
+            { id: 3, index: 2, path: '/Movie/movie.mkv', size: 4 * GB }
+        ]);
+
+        assert.deepEqual(files, [{ id: 3, index: 2, path: '/Movie/movie.mkv', size: 4 * GB }]);
+    });
+
+    it('без id нумерует файлы с 1, без .torrent index неизвестен', () => {
+        const files = FileSelector.normalize([
+            { path: 'a.mkv', size: 1 },
+            { name: 'b.mkv', size: 2 }
+        ]);
+
+        assert.deepEqual(files.map(file => [file.id, file.index, file.path]), [[1, null, 'a.mkv'], [2, null, 'b.mkv']]);
+    });
+
+    it('находит позицию в .torrent по имени и размеру, а не по порядку сервиса', () => {
+        const torrentFiles = [
+            { path: 'Show/Sample/sample.mkv', size: 50 },
+            { path: 'Show/Show.S01E01.mkv', size: 1000 },
+            { path: 'Show/Show.S01E02.mkv', size: 1100 }
+        ];
+        const files = FileSelector.normalize([
+            { id: 10, path: '/Show.S01E02.mkv', size: 1100 },
+            { id: 11, path: '/Show.S01E01.mkv', size: 1000 }
+        ], torrentFiles);
+
+        assert.deepEqual(files.map(file => [file.id, file.index]), [[10, 2], [11, 1]]);
+    });
+
+    it('размер со страницы трекера совпадает с точным с учетом округления', () => {
+        const files = FileSelector.normalize([{ id: 1, path: 'Movie.mkv', size: 1567663104 }], [
+            { path: 'Movie/Sample.mkv', size: 52428800 },
+            { path: 'Movie/Movie.mkv', size: TorrentUtils.parseSize('1.46 ГБ') }
+        ]);
+
+        assert.equal(files[0].index, 1);
+    });
+
+    it('одинаковые имена разного размера не путает', () => {
+        const files = FileSelector.normalize([{ id: 1, path: 'Extras/video.mkv', size: 20 }], [
+            { path: 'video.mkv', size: 5000 },
+            { path: 'Extras/video.mkv', size: 20 }
+        ]);
+
+        assert.equal(files[0].index, 1);
+    });
+});
+
+describe('FileSelector.getKey', () => {
+    it('совпадает для одного файла с разными путями у сервиса', () => {
+        assert.equal(
+            FileSelector.getKey({ path: 'Movie.mkv', size: '5000' }),
+            FileSelector.getKey({ path: '/Release/Movie.MKV', size: 5000 })
+        );
+        assert.notEqual(
+            FileSelector.getKey({ path: 'Movie.mkv', size: 5000 }),
+            FileSelector.getKey({ path: 'Movie.mkv', size: 50 })
+        );
+    });
+});
+
+describe('FileSelector.isExtra', () => {
+    it('сэмплы и доп. материалы по имени файла и папки', () => {
+        [
+            'Movie/Sample/movie.mkv',
+            'Movie/movie-sample.mkv',
+            'Movie/Extras/Making Of.mkv',
+            'Movie/Featurettes/Scene.mkv',
+            'Movie/Behind.the.Scenes.mkv',
+            'Movie/Deleted Scenes/1.mkv',
+            'Фильм/Доп. материалы/Интервью.mkv',
+            'Фильм/Бонусы/01.mkv',
+            'Фильм/Трейлеры/trailer.mp4'
+        ].forEach(path => assert.equal(FileSelector.isExtra(path), true, path));
+    });
+
+    it('не срабатывает на словах внутри названия', () => {
+        [
+            'Samples.of.Life.2019.1080p.mkv',
+            'The.Extraordinary.2020.mkv',
+            'Bonusman.mkv',
+            'Трейлерный парк/Трейлерный.парк.S01E01.mkv'
+        ].forEach(path => assert.equal(FileSelector.isExtra(path), false, path));
+    });
+});
+
+describe('FileSelector.select', () => {
+    it('фильм: самое большое видео без сэмпла, даже если сэмпл крупнее', () => {
+        const files = [
+            { id: 1, path: 'Movie/RARBG.txt', size: 10 },
+            { id: 2, path: 'Movie/Sample/movie.sample.mkv', size: 9 * GB },
+            { id: 3, path: 'Movie/Movie.2010.1080p.mkv', size: 8 * GB },
+            { id: 4, path: 'Movie/Movie.2010.1080p.rus.mka', size: 11 * GB }
+        ];
+
+        assert.equal(FileSelector.select(files, { type: 'movie' }).id, 3);
+    });
+
+    it('если в раздаче только доп. материалы - самый большой из них', () => {
+        const files = [
+            { id: 1, path: 'Extras/a.mkv', size: 10 },
+            { id: 2, path: 'Extras/b.mkv', size: 20 }
+        ];
+
+        assert.equal(FileSelector.select(files, { type: 'movie' }).id, 2);
+    });
+
+    it('без видео - null', () => {
+        assert.equal(FileSelector.select([{ id: 1, path: 'readme.txt', size: 1 }], { type: 'movie' }), null);
+    });
+
+    it('сериал: только файл запрошенной серии', () => {
+        const files = [
+            { id: 1, path: 'Show.S01/Show.S01E01.1080p.mkv', size: 2 * GB },
+            { id: 2, path: 'Show.S01/Show.S01E02.1080p.mkv', size: 1 * GB },
+            { id: 3, path: 'Show.S01/Sample/Show.S01E02.sample.mkv', size: 10 }
+        ];
+
+        assert.equal(FileSelector.select(files, { type: 'series', season: 1, episode: 2 }).id, 2);
+        assert.equal(FileSelector.select(files, { type: 'series', season: 1, episode: 5 }), null);
+    });
+
+    it('сериал по вложенным папкам сезонов', () => {
+        const files = [
+            { id: 1, path: 'Шерлок S01-S02/Сезон 1/01.mkv', size: 1 },
+            { id: 2, path: 'Шерлок S01-S02/Сезон 1/02.mkv', size: 1 },
+            { id: 3, path: 'Шерлок S01-S02/Сезон 2/01.mkv', size: 1 },
+            { id: 4, path: 'Шерлок S01-S02/Сезон 2/02.mkv', size: 1 }
+        ];
+
+        assert.equal(FileSelector.select(files, { type: 'series', season: 2, episode: 1 }).id, 3);
+        assert.equal(FileSelector.select(files, { type: 'series', season: 1, episode: 2 }).id, 2);
+    });
+
+    it('аниме: сквозной номер серии без сезона в имени', () => {
+        const files = [
+            { id: 1, path: '[SubsPlease] Frieren - 27 (1080p).mkv', size: 1 },
+            { id: 2, path: '[SubsPlease] Frieren - 28 (1080p).mkv', size: 1 }
+        ];
+
+        assert.equal(FileSelector.select(files, { type: 'series', season: 2, episode: 1, absoluteEpisode: 28 }).id, 2);
+    });
+});
+
+describe('FileSelector.matchesEpisode', () => {
+    it('форматы номера серии', () => {
+        assert.equal(FileSelector.matchesEpisode('Show.S02E05.WEB-DL.mkv', 2, 5), true);
+        assert.equal(FileSelector.matchesEpisode('Show.2x05.mkv', 2, 5), true);
+        assert.equal(FileSelector.matchesEpisode('Season 2/E05.mkv', 2, 5), true);
+        assert.equal(FileSelector.matchesEpisode('Season 2/Ep 05.mkv', 2, 5), true);
+        assert.equal(FileSelector.matchesEpisode('Сезон 2/Серия 05.mkv', 2, 5), true);
+        assert.equal(FileSelector.matchesEpisode('Show - 05 [1080p].mkv', null, 5), true);
+        assert.equal(FileSelector.matchesEpisode('Show/05.mkv', null, 5), true);
+    });
+
+    it('чужой сезон или серия', () => {
+        assert.equal(FileSelector.matchesEpisode('Show.S01E05.mkv', 2, 5), false);
+        assert.equal(FileSelector.matchesEpisode('Show.S02E06.mkv', 2, 5), false);
+        assert.equal(FileSelector.matchesEpisode('Season 1/05.mkv', 2, 5), false);
+    });
+
+    it('файл с несколькими сериями не подходит для одной', () => {
+        assert.equal(FileSelector.matchesEpisode('Show.S01E01-E02.mkv', 1, 1), false);
+    });
+
+    it('разрешение 1080p не принимается за номер серии', () => {
+        assert.equal(FileSelector.matchesEpisode('Show - 1080p.mkv', null, 1080), false);
+    });
+
+    it('без запрошенного сезона сезон файла не проверяется', () => {
+        assert.equal(FileSelector.matchesEpisode('Show S03/Show.S03E04.mkv', null, 4), true);
+    });
+
+    it('сквозной номер для раздач без сезонов', () => {
+        assert.equal(FileSelector.matchesEpisode('One Piece - 1015.mkv', null, 15, 1015), true);
+        assert.equal(FileSelector.matchesEpisode('One Piece - 1016.mkv', null, 15, 1015), false);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Тесты работают с кэшем в памяти
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+
+const JackettSearcher = require('../lib/jackettSearcher');
+
+// Логи в stdout дочернего процесса ломают протокол test runner в Node 20
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+/**
+ * Mock Jackett: на каждый запрос - 10 раздач только со ссылкой на .torrent, ссылки зависят от смещения запроса
+ */
+function startJackett(offsets) {
+    const server = http.createServer((req, res) => {
+        const query = new URL(req.url, 'http://localhost').searchParams.get('Query');
+        const offset = offsets[query] || 0;
+        const Results = Array.from({ length: 10 }, (value, i) => ({
+            Title: `${query} ${offset + i}`,
+            Link: `http://jackett.test/dl/${offset + i}`,
+            Seeders: 100 - offset - i,
+            Tracker: 'Fake'
+        }));
+
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ Results }));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+/**
+ * Jackett с подмененной загрузкой .torrent: считает загрузки по ссылкам
+ */
+function createSearcher(url) {
+    const searcher = new JackettSearcher(url, 'key');
+    searcher.downloaded = [];
+    searcher.downloadTorrent = async link => {
+        searcher.downloaded.push(link);
+        const id = link.split('/').pop();
+        return { infoHash: id.padStart(40, '0'), files: null };
+    };
+    return searcher;
+}
+
+describe('JackettSearcher: загрузка .torrent', () => {
+    let jackett;
+
+    before(async () => {
+        jackett = await startJackett({ 'Дюна 2021': 0, 'Dune 2021': 10 });
+    });
+
+    after(() => jackett.close());
+
+    it('по двум запросам найдено 20 ссылок, загружается не больше 15 на все запросы', async () => {
+        const searcher = createSearcher(jackett.url);
+        const results = await searcher.search({ type: 'movie', title: 'Dune', russianTitle: 'Дюна', year: 2021, imdbId: 'tt1160419' });
+
+        assert.equal(searcher.downloaded.length, 15);
+        assert.equal(results.length, 15);
+    });
+
+    it('ссылка, найденная несколькими запросами, загружается один раз', async () => {
+        const searcher = createSearcher(jackett.url);
+        const torrentFiles = { seen: new Set(), remaining: 15 };
+        const items = [{ Title: 'A', Link: 'http://jackett.test/dl/1', Seeders: 5 }];
+
+        await searcher.resolveTorrentLinks(items, torrentFiles);
+        const repeated = await searcher.resolveTorrentLinks(items, torrentFiles);
+
+        assert.equal(searcher.downloaded.length, 1);
+        assert.deepEqual(repeated, []);
+        assert.equal(torrentFiles.remaining, 14);
+    });
+});
+
+describe('JackettSearcher.downloadTorrent', () => {
+    const sample = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.torrent'));
+    let server;
+    let baseURL;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/sample.torrent') {
+                res.end(sample);
+            } else if (req.url === '/redirect') {
+                res.writeHead(302, { Location: '/sample.torrent' });
+                res.end();
+            } else if (req.url === '/magnet') {
+                res.writeHead(302, { Location: 'magnet:?xt=urn:btih:9bb16bf04663328b4763cc8ea7b0fa9fee767943' });
+                res.end();
+            } else if (req.url === '/huge.torrent') {
+                // Больше 5 МБ - загрузка прерывается
+                res.end(Buffer.alloc(6 * 1024 * 1024, 0x61));
+            } else {
+                res.end(sample.subarray(0, sample.length - 20));
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('info hash и файлы из .torrent, в том числе после перенаправления', async () => {
+        const searcher = new JackettSearcher(baseURL, 'key');
+
+        for (const link of ['/sample.torrent', '/redirect']) {
+            const torrent = await searcher.downloadTorrent(baseURL + link);
+            assert.equal(torrent.infoHash, '9BB16BF04663328B4763CC8EA7B0FA9FEE767943');
+            assert.equal(torrent.files.length, 3);
+        }
+    });
+
+    it('перенаправление на магнет-ссылку', async () => {
+        const torrent = await new JackettSearcher(baseURL, 'key').downloadTorrent(`${baseURL}/magnet`);
+        assert.deepEqual(torrent, { infoHash: '9BB16BF04663328B4763CC8EA7B0FA9FEE767943', files: null });
+    });
+
+    it('файл больше 5 МБ и поврежденный файл не загружаются', async () => {
+        const searcher = new JackettSearcher(baseURL, 'key');
+        const errors = mock.method(console, 'error', () => {});
+
+        assert.equal(await searcher.downloadTorrent(`${baseURL}/huge.torrent`), null);
+        assert.match(errors.mock.calls[0].arguments[1], /maxContentLength/);
+        assert.equal(await searcher.downloadTorrent(`${baseURL}/broken.torrent`), null);
+
+        errors.mock.restore();
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ReleaseParser = require('../lib/releaseParser');
+const releases = require('./fixtures/releases.json');
+
+describe('ReleaseParser.parse: названия с трекеров', () => {
+    // В фикстуре только проверяемые поля, остальные поля разбора не сравниваются
+    releases.forEach(({ title, expected }) => {
+        it(title, () => {
+            const release = ReleaseParser.parse(title);
+            Object.entries(expected).forEach(([field, value]) => {
+                assert.deepEqual(release[field], value, `${field}: ${title}`);
+            });
+        });
+    });
+});
+
+describe('ReleaseParser.parse: границы токенов', () => {
+    it('"ts" внутри "Tsunami" - не источник TS', () => {
+        assert.equal(ReleaseParser.parse('Tsunami.2009.720p.mkv').source, null);
+    });
+
+    it('WEB-DLRip - рип, а не WEB-DL', () => {
+        assert.equal(ReleaseParser.parse('Film (2020) WEB-DLRip').source, 'WEBRip');
+    });
+
+    it('DTS-HD.MA.5.1-FGT: звук, каналы и группа, а не "MA" или "1"', () => {
+        const release = ReleaseParser.parse('Movie.2019.1080p.BluRay.DTS-HD.MA.5.1-FGT');
+        assert.equal(release.audio, 'DTS-HD');
+        assert.equal(release.channels, '5.1');
+        assert.equal(release.group, 'FGT');
+    });
+
+    it('теги перевода "| D, P, A |" читаются только после "|"', () => {
+        assert.deepEqual(ReleaseParser.parse('Фильм (2020) | D, P, A | Лицензия').voiceovers, ['Дубляж', 'MVO', 'AVO']);
+        assert.deepEqual(ReleaseParser.parse('Фильм, A, D (2020)').voiceovers, []);
+    });
+
+    it('"P1", "L2" и регистр тегов', () => {
+        assert.deepEqual(ReleaseParser.parse('Фильм (2020) | p1, L2').voiceovers, ['DVO', 'VO']);
+    });
+
+    it('HDRip - не HDR', () => {
+        const release = ReleaseParser.parse('Фильм (2015) HDRip');
+        assert.equal(release.source, 'HDRip');
+        assert.equal(release.hdr, null);
+    });
+});
+
+describe('ReleaseParser.parseEpisodes', () => {
+    it('диапазоны сезонов и серий', () => {
+        assert.deepEqual(ReleaseParser.parseEpisodes('Show S01E01-E03'), { seasons: [1], episodes: [1, 2, 3] });
+        assert.deepEqual(ReleaseParser.parseEpisodes('Show 1x05-07'), { seasons: [1], episodes: [5, 6, 7] });
+        assert.deepEqual(ReleaseParser.parseEpisodes('Сезон: 1-3 из 5'), { seasons: [1, 2, 3], episodes: [] });
+        assert.deepEqual(ReleaseParser.parseEpisodes('2 сезон 5 серия'), { seasons: [2], episodes: [5] });
+    });
+
+    it('"Серии: 1-62 из 62" - все серии', () => {
+        const { episodes } = ReleaseParser.parseEpisodes('Сезон: 1-5 / Серии: 1-62 из 62');
+        assert.equal(episodes.length, 62);
+        assert.equal(episodes[61], 62);
+    });
+
+    it('год в диапазоне не раздувает список серий', () => {
+        assert.deepEqual(ReleaseParser.parseEpisodes('Серии 1-2024').episodes, [1]);
+    });
+});
+
+describe('ReleaseParser.getQuality и getTranslation', () => {
+    it('качество: разрешение, без него - источник', () => {
+        assert.equal(ReleaseParser.getQuality('Film 2020 1080p WEB-DL'), '1080p');
+        assert.equal(ReleaseParser.getQuality('Джон Уик 4 (2023) CAMRip'), 'CAM');
+        assert.equal(ReleaseParser.getQuality('Film'), 'Unknown');
+    });
+
+    it('перевод для карточки потока', () => {
+        assert.equal(
+            ReleaseParser.getTranslation('Во все тяжкие [2008, BDRip] MVO (LostFilm) + Original + Sub'),
+            'MVO, LostFilm, Оригинал, Субтитры'
+        );
+        assert.equal(ReleaseParser.getTranslation('Movie.2020.1080p.BluRay.x264-GRP'), null);
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Тесты работают с кэшем в памяти и без общих индексаторов
+delete process.env.REDIS_URL;
+delete process.env.KV_URL;
+delete process.env.CONFIG_SECRET;
+
+const JackettSearcher = require('../lib/jackettSearcher');
+const TorznabSearcher = require('../lib/torznabSearcher');
+const TorrentSearcher = require('../lib/torrentSearcher');
+const MetadataService = require('../lib/metadata');
+const RealDebridClient = require('../lib/realdebrid');
+const { getCacheStore } = require('../lib/cache');
+const { encodeConfig, getConfigKey } = require('../lib/configToken');
+const handler = require('../api/index');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const config = { debridProvider: 'realdebrid', debridApiKey: 'A'.repeat(30) };
+const { segment } = encodeConfig(config);
+
+/**
+ * Запрос списка потоков через обработчик Vercel
+ * @returns {Promise<Object>} { status, body, duration }
+ */
+function requestStreams(id) {
+    const started = Date.now();
+
+    return new Promise(resolve => {
+        const res = {
+            setHeader() {},
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                resolve({ status: this.statusCode, body, duration: Date.now() - started });
+            },
+            end() {
+                resolve({ status: this.statusCode, body: null, duration: Date.now() - started });
+            }
+        };
+
+        handler({ method: 'GET', url: `/${segment}/stream/movie/${id}.json`, headers: { host: 'addon.test' } }, res);
+    });
+}
+
+/**
+ * Раздача из поиска
+ */
+function torrent(title, hash, source) {
+    return { title, infoHash: hash.repeat(40), size: '8 GB', seeders: 10, source };
+}
+
+/**
+ * Поисковики: источник возвращает раздачи, ошибку или отвечает с задержкой
+ */
+function stubSearchers({ jackett = [], torznab = [], trackers = [], ms = 0 }) {
+    const search = result => async () => {
+        await delay(ms);
+        if (result instanceof Error) throw result;
+        return result;
+    };
+
+    mock.method(JackettSearcher.prototype, 'search', search(jackett));
+    mock.method(TorznabSearcher.prototype, 'search', search(torznab));
+    mock.method(TorrentSearcher.prototype, 'search', search(trackers));
+}
+
+/**
+ * Список потоков в кэше устарел: следующий запрос обновляет его в фоне
+ */
+async function expireStreams(id) {
+    const cache = getCacheStore();
+    const key = `streams:${id}:${getConfigKey(config)}`;
+    const entry = await cache.get(key);
+    await cache.set(key, { ...entry, freshUntil: Date.now() - 1000 }, 3600);
+}
+
+describe('Обработчик потоков: устаревший кэш', () => {
+    const unhandled = [];
+    const onUnhandled = error => unhandled.push(error);
+
+    before(() => {
+        process.on('unhandledRejection', onUnhandled);
+    });
+
+    after(() => {
+        process.off('unhandledRejection', onUnhandled);
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        mock.restoreAll();
+        // Логи обработчика в stdout дочернего процесса ломают протокол test runner в Node 20
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        mock.method(MetadataService.prototype, 'get', async () => ({
+            imdbId: 'tt1160419',
+            title: 'Dune',
+            russianTitle: 'Дюна',
+            year: 2021
+        }));
+        mock.method(RealDebridClient.prototype, 'checkAvailabilityChunk', async hashes => Object.fromEntries(
+            hashes.map(hash => [hash, { available: true, files: [{ id: 1, path: 'Dune.2021.1080p.mkv', size: 8 * 1024 ** 3 }] }])
+        ));
+    });
+
+    it('медленные и упавшие поисковики не задерживают устаревший список, ошибки не теряются', async () => {
+        const id = 'tt1160419';
+        stubSearchers({ trackers: [torrent('Дюна / Dune (2021) WEB-DL 1080p', 'A', 'Rutor')] });
+
+        const first = await requestStreams(id);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.streams.length, 1);
+
+        await expireStreams(id);
+        stubSearchers({
+            jackett: new Error('Jackett недоступен'),
+            torznab: new Error('таймаут Torznab'),
+            trackers: [torrent('Дюна / Dune (2021) BDRip 1080p', 'B', 'Rutor')],
+            ms: 200
+        });
+
+        const stale = await requestStreams(id);
+        assert.deepEqual(stale.body, first.body);
+        assert.ok(stale.duration < 200, 'ответ не ждет поисковики');
+
+        // Обновление упало - по-прежнему отдается устаревший список
+        await delay(300);
+        assert.deepEqual((await requestStreams(id)).body, first.body);
+        assert.deepEqual(unhandled, []);
+    });
+
+    it('успешное фоновое обновление заменяет устаревший список', async () => {
+        const id = 'tt1160420';
+        stubSearchers({ trackers: [torrent('Дюна / Dune (2021) WEB-DL 1080p', 'C', 'Rutor')] });
+        await requestStreams(id);
+
+        await expireStreams(id);
+        stubSearchers({
+            jackett: [torrent('Dune.2021.2160p.UHD.BluRay.REMUX', 'D', 'Jackett')],
+            trackers: [torrent('Дюна / Dune (2021) WEB-DL 1080p', 'C', 'Rutor')],
+            ms: 100
+        });
+
+        const stale = await requestStreams(id);
+        assert.equal(stale.body.streams.length, 1);
+
+        await delay(200);
+        const fresh = await requestStreams(id);
+        assert.equal(fresh.body.streams.length, 2);
+        assert.ok(fresh.body.streams.every(stream => stream.url.startsWith(`https://addon.test/${segment}/resolve/`)));
+        assert.deepEqual(unhandled, []);
+    });
+
+    it('без кэша ошибка поисковика - поток с ошибкой, а не исключение', async () => {
+        stubSearchers({ jackett: new Error('Jackett недоступен') });
+
+        const response = await requestStreams('tt1160421');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.streams[0].name, '❌ Ошибка');
+        assert.deepEqual(unhandled, []);
+    });
+});
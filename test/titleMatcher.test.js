@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TitleMatcher = require('../lib/titleMatcher');
+
+const check = (params, title) => new TitleMatcher(params).check({ title });
+
+describe('TitleMatcher.check: фильмы', () => {
+    const dune = { type: 'movie', title: 'Dune', russianTitle: 'Дюна', year: 2021 };
+
+    it('русская и английская раздача того же фильма', () => {
+        assert.equal(check(dune, 'Дюна / Dune (2021) WEB-DLRip 1080p | D, P, A | Лицензия'), null);
+        assert.equal(check(dune, 'Dune.2021.2160p.UHD.BluRay.REMUX.HDR10.HEVC.TrueHD.7.1.Atmos-FGT'), null);
+    });
+
+    it('год отличается на один - тот же фильм', () => {
+        assert.equal(check(dune, 'Дюна / Dune (2020) WEBRip 720p'), null);
+        assert.equal(check(dune, 'Дюна / Dune (2022) BDRip 1080p'), null);
+    });
+
+    it('другой фильм с тем же названием отсеивается по году', () => {
+        assert.equal(check(dune, 'Дюна / Dune (1984) BDRip 720p | Гаврилов'), 'год 1984');
+        assert.equal(check(dune, 'Дюна / Dune (2024) WEB-DL 1080p'), 'год 2024');
+    });
+
+    it('название целыми словами: "Дюна" не совпадает с "Дюнаград"', () => {
+        assert.equal(check(dune, 'Дюнаград (2021) WEB-DL 1080p'), 'название');
+    });
+
+    it('раздача сериала для фильма отсеивается', () => {
+        assert.equal(check(dune, 'Dune.S01E01.2021.1080p.WEB-DL.DDP5.1.H.264-NTb'), 'сериал');
+        assert.equal(check(dune, 'Дюна / Dune / Серии: 1-3 из 3 (2021) WEB-DL 1080p'), 'сериал');
+    });
+
+    it('"Эпизод N" в названии фильма - не сериал', () => {
+        const params = { type: 'movie', title: 'Star Wars: Episode IV - A New Hope', russianTitle: 'Звёздные войны: Эпизод 4 – Новая надежда', year: 1977 };
+        assert.equal(check(params, 'Звёздные войны: Эпизод 4 – Новая надежда / Star Wars: Episode IV - A New Hope (1977) BDRip 1080p'), null);
+        assert.equal(check({ type: 'movie', title: 'Star Wars', russianTitle: 'Звёздные войны', year: 1977 }, 'Звёздные войны: Эпизод 4 (1977) BDRip 1080p'), null);
+        assert.equal(check({ type: 'movie', title: 'Episode 50', year: 2011 }, 'Episode.50.2011.1080p.BluRay.x264'), null);
+    });
+
+    it('"Blade Runner 2049": число в названии - не год', () => {
+        const params = { type: 'movie', title: 'Blade Runner 2049', russianTitle: 'Бегущий по лезвию 2049', year: 2017 };
+        assert.equal(check(params, 'Бегущий по лезвию 2049 / Blade Runner 2049 (2017) BDRemux 1080p | D, A'), null);
+    });
+});
+
+describe('TitleMatcher.check: сериалы', () => {
+    const breakingBad = { type: 'series', title: 'Breaking Bad', russianTitle: 'Во все тяжкие', year: 2008, season: 5, episode: 14 };
+
+    it('поздний сезон подписан своим годом - не отсеивается', () => {
+        assert.equal(check(breakingBad, 'Во все тяжкие / Breaking Bad / Сезон: 5 / Серии: 1-16 из 16 (2012-2013) BDRip 720p | LostFilm'), null);
+    });
+
+    it('раздача раньше первого сезона отсеивается', () => {
+        assert.equal(check(breakingBad, 'Во все тяжкие / Breaking Bad (2005) DVDRip'), 'год 2005');
+    });
+
+    it('чужой сезон', () => {
+        assert.equal(check(breakingBad, 'Во все тяжкие / Breaking Bad / Сезон: 3 / Серии: 1-13 из 13 (2010) BDRip 720p'), 'сезон 3');
+        assert.equal(check(breakingBad, 'Breaking.Bad.S04E14.1080p.BluRay.x264-ROVERS'), 'сезон 4');
+    });
+
+    it('диапазон сезонов с запрошенным сезоном подходит', () => {
+        assert.equal(check(breakingBad, 'Во все тяжкие / Breaking Bad / Сезон: 1-5 / Серии: 1-62 из 62 [2008-2013, BDRip 720p] MVO'), null);
+    });
+
+    it('неполный сезон без запрошенной серии отсеивается', () => {
+        assert.equal(check(breakingBad, 'Во все тяжкие / Breaking Bad / Сезон: 5 / Серии: 1-8 из 16 (2012) WEB-DL 720p'), 'серии 1-8');
+        assert.equal(check(breakingBad, 'Breaking.Bad.S05E13.720p.HDTV.x264-EVOLVE'), 'серии 13-13');
+    });
+
+    it('отдельная серия', () => {
+        assert.equal(check(breakingBad, 'Breaking.Bad.S05E14.Ozymandias.720p.HDTV.x264-EVOLVE'), null);
+    });
+
+    it('раздача без номеров сезона и серий проверяется потом по файлам', () => {
+        assert.equal(check(breakingBad, 'Во все тяжкие / Breaking Bad (2008-2013) BDRip 720p | Полный сериал'), null);
+    });
+
+    it('серии "[01-08 из 08]" без слова "серии"', () => {
+        const params = { type: 'series', russianTitle: 'Слово пацана. Кровь на асфальте', year: 2023, season: 1, episode: 5 };
+        assert.equal(check(params, 'Слово пацана. Кровь на асфальте [01-08 из 08] (2023) WEB-DL 1080p'), null);
+        assert.equal(check({ ...params, episode: 9 }, 'Слово пацана. Кровь на асфальте [01-08 из 08] (2023) WEB-DL 1080p'), 'серии 1-8');
+    });
+
+    it('аниме: сквозной номер серии в раздаче без сезонов', () => {
+        const params = { type: 'series', title: 'Frieren', originalTitle: 'Sousou no Frieren', year: 2023, episode: 2, absoluteEpisode: 30 };
+        assert.equal(check(params, 'Провожающая в последний путь Фрирен / Sousou no Frieren [TV] [29-30 из 28+] (2023) WEBRip 1080p'), null);
+        assert.equal(check(params, 'Провожающая в последний путь Фрирен / Sousou no Frieren [TV] [21-28 из 28] (2023) WEBRip 1080p'), 'серии 21-28');
+    });
+});
+
+describe('TitleMatcher: нормализация', () => {
+    it('ё и е не различаются', () => {
+        const params = { type: 'movie', russianTitle: 'Ёлки', year: 2010 };
+        assert.equal(check(params, 'Елки (2010) DVDRip'), null);
+        assert.equal(check({ ...params, russianTitle: 'Елки' }, 'Ёлки (2010) DVDRip'), null);
+    });
+
+    it('латинские буквы в русском названии и кириллица в английском', () => {
+        // "Мaтрицa" с латинскими "a", "Тhe Маtrix" с кириллическими "Т", "М", "а"
+        const params = { type: 'movie', title: 'The Matrix', russianTitle: 'Матрица', year: 1999 };
+        assert.equal(check(params, 'Мaтрицa (1999) BDRip 1080p'), null);
+        assert.equal(check(params, 'Тhe Маtrix 1999 1080p BluRay'), null);
+    });
+
+    it('знаки препинания, апострофы и "&"', () => {
+        assert.equal(TitleMatcher.normalize('Ocean’s Eleven'), 'oceans eleven');
+        assert.equal(TitleMatcher.normalize('Fast & Furious: Hobbs'), 'fast and furious hobbs');
+        assert.equal(TitleMatcher.normalize('Слово пацана. Кровь на асфальте'), 'слово пацана кровь на асфальте');
+    });
+});
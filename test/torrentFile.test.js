@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const TorrentFile = require('../lib/torrentFile');
+
+// Раздача из трех файлов, info hash посчитан отдельно от TorrentFile
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.torrent'));
+const SAMPLE_HASH = '9BB16BF04663328B4763CC8EA7B0FA9FEE767943';
+
+describe('TorrentFile.parse', () => {
+    it('info hash и файлы раздачи', () => {
+        const torrent = TorrentFile.parse(SAMPLE);
+
+        assert.equal(torrent.infoHash, SAMPLE_HASH);
+        assert.equal(torrent.name, 'Dune.2021.1080p');
+        assert.deepEqual(torrent.files, [
+            { path: 'Dune.2021.1080p.mkv', size: 1234567890 },
+            { path: 'Sample/sample.mkv', size: 1048576 },
+            { path: 'Субтитры/rus.srt', size: 52000 }
+        ]);
+    });
+
+    it('раздача из одного файла', () => {
+        const info = 'd6:lengthi700e4:name9:movie.mkv12:piece lengthi16384e6:pieces20:aaaaaaaaaaaaaaaaaaaae';
+        const torrent = TorrentFile.parse(Buffer.from(`d8:announce3:url4:info${info}e`));
+
+        assert.deepEqual(torrent.files, [{ path: 'movie.mkv', size: 700 }]);
+        assert.equal(torrent.infoHash, crypto.createHash('sha1').update(info).digest('hex').toUpperCase());
+    });
+
+    it('обрезанный файл отклоняется', () => {
+        [10, 100, 200, SAMPLE.length - 1].forEach(length => {
+            assert.throws(() => TorrentFile.parse(SAMPLE.subarray(0, length)), /bencode|info/, `длина ${length}`);
+        });
+    });
+
+    it('не bencode - ошибка', () => {
+        assert.throws(() => TorrentFile.parse(Buffer.from('<html>Not found</html>')), /bencode/);
+        assert.throws(() => TorrentFile.parse(Buffer.from('')), /bencode/);
+        assert.throws(() => TorrentFile.parse(Buffer.from('d4:infoi1ee')), /info/);
+        assert.throws(() => TorrentFile.parse(Buffer.from('d4:info5:abce')), /bencode/);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TorrentFilter = require('../lib/torrentFilter');
+
+const check = (options, title, torrent = {}) => new TorrentFilter(options).check({ title, ...torrent });
+
+describe('TorrentFilter: исключения', () => {
+    it('по умолчанию исключаются CAM, TS и сэмплы', () => {
+        assert.equal(check({}, 'Дюна / Dune (2021) CAMRip'), 'CAM');
+        assert.equal(check({}, 'Dune.2021.TS.x264'), 'TS');
+        assert.equal(check({}, 'Dune.2021.1080p.WEB-DL.sample'), 'sample');
+        assert.equal(check({}, 'Дюна / Dune (2021) WEB-DL 1080p'), null);
+    });
+
+    it('пустой список исключений - все раздачи подходят', () => {
+        assert.equal(check({ exclude: [] }, 'Дюна / Dune (2021) CAMRip'), null);
+        assert.equal(check({ exclude: [] }, 'Dune.2021.1080p.WEB-DL.sample'), null);
+    });
+
+    it('свой список исключений без учета регистра', () => {
+        const options = { exclude: ['hdtv'] };
+        assert.equal(check(options, 'Breaking.Bad.S05E14.720p.HDTV.x264'), 'HDTV');
+        assert.equal(check(options, 'Дюна / Dune (2021) CAMRip'), null);
+    });
+
+    it('"sample" внутри слова не исключает раздачу', () => {
+        assert.equal(check({}, 'Samples.of.Life.2019.1080p.WEB-DL'), null);
+    });
+});
+
+describe('TorrentFilter: разрешения', () => {
+    const options = { requiredResolutions: ['4K', '1080p'] };
+
+    it('подходят только выбранные разрешения', () => {
+        assert.equal(check(options, 'Dune.2021.2160p.UHD.BluRay.REMUX'), null);
+        assert.equal(check(options, 'Дюна / Dune (2021) WEB-DL 1080p'), null);
+        assert.equal(check(options, 'Дюна / Dune (2021) WEB-DL 720p'), 'разрешение 720p');
+    });
+
+    it('раздача без разрешения в названии исключается', () => {
+        assert.equal(check(options, 'Дюна / Dune (2021) DVDRip'), 'разрешение неизвестно');
+    });
+
+    it('без выбранных разрешений подходят любые', () => {
+        assert.equal(check({}, 'Дюна / Dune (2021) DVDRip'), null);
+    });
+
+    it('ограничение размера для разрешения', () => {
+        const limits = { sizeLimits: TorrentFilter.parseSizeLimits('4K:10-80, 1080p:2-20') };
+        assert.equal(check(limits, 'Дюна / Dune (2021) WEB-DL 1080p', { size: '25 GB' }), 'размер больше 20 ГБ');
+        assert.equal(check(limits, 'Dune.2021.2160p.WEB-DL', { size: '25 GB' }), null);
+    });
+});
+
+describe('TorrentFilter.apply', () => {
+    it('оставляет подходящие раздачи в исходном порядке', () => {
+        const torrents = [
+            { title: 'Дюна / Dune (2021) WEB-DL 1080p' },
+            { title: 'Дюна / Dune (2021) CAMRip' },
+            { title: 'Dune.2021.720p.BluRay' }
+        ];
+
+        assert.deepEqual(new TorrentFilter().apply(torrents).map(torrent => torrent.title), [
+            'Дюна / Dune (2021) WEB-DL 1080p',
+            'Dune.2021.720p.BluRay'
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TorrentRanker = require('../lib/torrentRanker');
+
+const titles = torrents => torrents.map(torrent => torrent.title);
+
+describe('TorrentRanker.rank', () => {
+    it('разрешение по порядку предпочтения', () => {
+        const torrents = [
+            { title: 'Дюна / Dune (2021) WEB-DL 720p', seeders: 10 },
+            { title: 'Дюна / Dune (2021) WEB-DL 2160p', seeders: 10 },
+            { title: 'Дюна / Dune (2021) WEB-DL 1080p', seeders: 10 }
+        ];
+
+        assert.deepEqual(titles(new TorrentRanker().rank(torrents)), [
+            'Дюна / Dune (2021) WEB-DL 2160p',
+            'Дюна / Dune (2021) WEB-DL 1080p',
+            'Дюна / Dune (2021) WEB-DL 720p'
+        ]);
+
+        const ranker = new TorrentRanker({ resolutions: ['1080p', '720p', '4K'] });
+        assert.deepEqual(titles(ranker.rank(torrents)), [
+            'Дюна / Dune (2021) WEB-DL 1080p',
+            'Дюна / Dune (2021) WEB-DL 720p',
+            'Дюна / Dune (2021) WEB-DL 2160p'
+        ]);
+    });
+
+    it('при равном разрешении лучший перевод выше', () => {
+        const torrents = [
+            { title: 'Дюна / Dune (2021) WEB-DL 1080p | MVO', seeders: 10 },
+            { title: 'Дюна / Dune (2021) WEB-DL 1080p | Дубляж', seeders: 10 }
+        ];
+
+        assert.equal(new TorrentRanker().rank(torrents)[0].title, 'Дюна / Dune (2021) WEB-DL 1080p | Дубляж');
+    });
+
+    it('любимая студия перевода важнее типа перевода', () => {
+        const torrents = [
+            { title: 'Во все тяжкие / Breaking Bad / Сезон: 1 (2008) BDRip 1080p | Дубляж', seeders: 10 },
+            { title: 'Во все тяжкие / Breaking Bad / Сезон: 1 (2008) BDRip 1080p | MVO | LostFilm', seeders: 10 }
+        ];
+
+        assert.match(new TorrentRanker().rank(torrents)[0].title, /Дубляж/);
+
+        const ranker = new TorrentRanker({ studios: ['LostFilm'] });
+        assert.match(ranker.rank(torrents)[0].title, /LostFilm/);
+    });
+
+    it('язык original: оригинал с субтитрами выше озвучки', () => {
+        const torrents = [
+            { title: 'Dune.2021.1080p.WEB-DL.Rus.Dub', seeders: 10 },
+            { title: 'Дюна / Dune (2021) WEB-DL 1080p | Дубляж | Original Eng + Sub Rus, Eng', seeders: 10 }
+        ];
+
+        assert.match(new TorrentRanker({ language: 'original' }).rank(torrents)[0].title, /Original/);
+    });
+
+    it('размер не влияет на рейтинг: при равенстве - по сидам, затем по названию', () => {
+        const torrents = [
+            { title: 'B Dune 2021 1080p', size: '40 GB', seeders: 5 },
+            { title: 'C Dune 2021 1080p', size: '4 GB', seeders: 5 },
+            { title: 'A Dune 2021 1080p', size: '10 GB', seeders: 5 }
+        ];
+
+        assert.deepEqual(titles(new TorrentRanker().rank(torrents)), ['A Dune 2021 1080p', 'B Dune 2021 1080p', 'C Dune 2021 1080p']);
+
+        torrents[1].seeders = 6;
+        assert.equal(new TorrentRanker().rank(torrents)[0].title, 'C Dune 2021 1080p');
+    });
+});
+
+describe('TorrentRanker.explain', () => {
+    it('рейтинг и его составляющие в одну строку', () => {
+        const ranker = new TorrentRanker();
+        const ranking = ranker.score({ title: 'Дюна / Dune (2021) WEB-DL 1080p | Дубляж', seeders: 127 });
+
+        assert.equal(TorrentRanker.explain(ranking), '460 = 1080p +300, WEB-DL +40, Дубляж +50, Сиды +70');
+        assert.equal(ranking.score, 460);
+    });
+
+    it('без баллов - 0', () => {
+        assert.equal(TorrentRanker.explain({ score: 0, breakdown: [] }), '0 = 0');
+    });
+});